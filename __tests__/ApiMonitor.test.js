@@ -0,0 +1,91 @@
+import { monitorApiRequests, summarizeApiCalls } from '../src/utils/ApiMonitor'
+
+describe('monitorApiRequests fetch 包装', () => {
+  let originalFetch
+
+  beforeEach(() => {
+    originalFetch = window.fetch
+  })
+
+  afterEach(() => {
+    window.fetch = originalFetch
+  })
+
+  it('记录方法、归一化 URL、状态码与失败原因，stop 后还原 fetch', async () => {
+    const mockFetch = jest.fn((url) => {
+      if (url.includes('down')) return Promise.reject(new TypeError('Failed to fetch'))
+      const status = url.includes('cart') ? 500 : 200
+      return Promise.resolve({ status, headers: { get: () => '128' } })
+    })
+    window.fetch = mockFetch
+    const cb = jest.fn()
+    const monitor = monitorApiRequests(cb, { getPage: () => 'detail' })
+
+    await window.fetch('/api/product/123?from=home')
+    await window.fetch('/api/cart', { method: 'post', body: 'sku=1' })
+    await expect(window.fetch('/api/down')).rejects.toThrow('Failed to fetch')
+
+    expect(cb).toHaveBeenCalledTimes(3)
+    expect(cb.mock.calls[0][0]).toMatchObject({
+      method: 'GET',
+      url: '/api/product/:id',
+      status: 200,
+      responseSize: 128,
+      error: null,
+      page: 'detail'
+    })
+    expect(cb.mock.calls[1][0]).toMatchObject({ method: 'POST', status: 500, requestSize: 5, error: 'http_500' })
+    expect(cb.mock.calls[2][0]).toMatchObject({ status: 0, error: 'network_error' })
+
+    monitor.stop()
+    expect(window.fetch).toBe(mockFetch)
+  })
+
+  it('命中 ignoreUrls 的请求不记录', async () => {
+    window.fetch = jest.fn(() => Promise.resolve({ status: 200, headers: { get: () => null } }))
+    const cb = jest.fn()
+    const monitor = monitorApiRequests(cb, { ignoreUrls: ['/report', /\/ai\//] })
+
+    await window.fetch('https://log.example.com/report')
+    await window.fetch('/ai/chat')
+    expect(cb).not.toHaveBeenCalled()
+    monitor.stop()
+  })
+})
+
+describe('monitorApiRequests XHR 包装', () => {
+  it('stop 时只还原未被其它库再次包装的方法', () => {
+    const { open, send } = XMLHttpRequest.prototype
+    const monitor = monitorApiRequests(jest.fn())
+    const patchedSend = XMLHttpRequest.prototype.send
+    const otherSend = function () {
+      return patchedSend.apply(this, arguments)
+    }
+    XMLHttpRequest.prototype.send = otherSend
+
+    monitor.stop()
+    expect(XMLHttpRequest.prototype.open).toBe(open)
+    expect(XMLHttpRequest.prototype.send).toBe(otherSend)
+    XMLHttpRequest.prototype.send = send
+  })
+})
+
+describe('summarizeApiCalls', () => {
+  it('计算分位数、失败率并按平均耗时列出最慢接口', () => {
+    const calls = [
+      { method: 'GET', url: '/api/a', status: 200, duration: 100, error: null },
+      { method: 'GET', url: '/api/a', status: 200, duration: 300, error: null },
+      { method: 'POST', url: '/api/b', status: 500, duration: 50, error: 'http_500' },
+      { method: 'GET', url: '/api/c', status: 200, duration: 20, error: null }
+    ]
+    const stats = summarizeApiCalls(calls, 2)
+    expect(stats).toMatchObject({ count: 4, errorCount: 1, errorRate: 0.25, p50: 50, p95: 300, totalTime: 470 })
+    expect(stats.slowest).toHaveLength(2)
+    expect(stats.slowest[0]).toMatchObject({ endpoint: 'GET /api/a', count: 2, avgTime: 200, maxTime: 300, statuses: { 200: 2 } })
+    expect(stats.slowest[1]).toMatchObject({ endpoint: 'POST /api/b', errorCount: 1, lastError: 'http_500' })
+  })
+
+  it('没有调用时返回 null', () => {
+    expect(summarizeApiCalls([])).toBeNull()
+  })
+})
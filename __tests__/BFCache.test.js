@@ -0,0 +1,65 @@
+import { getNotRestoredReasons, observeBFCacheRestore } from '../src/utils/BFCache'
+
+describe('getNotRestoredReasons', () => {
+  it('展开主文档与 iframe 的阻止原因，兼容字符串与对象两种格式', () => {
+    const result = getNotRestoredReasons({
+      type: 'back_forward',
+      notRestoredReasons: {
+        url: 'https://a.com/detail',
+        reasons: [{ reason: 'unload-listener' }],
+        children: [
+          { src: 'https://ads.com/frame', id: 'ad', reasons: ['websocket', 'unload-listener'], children: [] },
+          { src: 'https://b.com/ok', reasons: [], children: [] }
+        ]
+      }
+    })
+    expect(result).toEqual({
+      reasons: ['unload-listener', 'websocket'],
+      frames: [
+        { url: 'https://a.com/detail', src: null, id: null, name: null, reasons: ['unload-listener'] },
+        { url: null, src: 'https://ads.com/frame', id: 'ad', name: null, reasons: ['websocket', 'unload-listener'] }
+      ]
+    })
+  })
+
+  it('非前进/后退导航或不支持时返回 null', () => {
+    expect(getNotRestoredReasons({ type: 'navigate', notRestoredReasons: {} })).toBeNull()
+    expect(getNotRestoredReasons({ type: 'back_forward' })).toBeNull()
+    expect(getNotRestoredReasons(undefined)).toBeNull()
+  })
+})
+
+describe('observeBFCacheRestore', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  const dispatchPageShow = (persisted) => {
+    const event = new Event('pageshow')
+    event.persisted = persisted
+    window.dispatchEvent(event)
+  }
+
+  it('仅在 persisted 的 pageshow 后两帧回调恢复耗时，stop 后不再回调', () => {
+    const cb = jest.fn()
+    const observer = observeBFCacheRestore(cb)
+
+    dispatchPageShow(false)
+    jest.runAllTimers()
+    expect(cb).not.toHaveBeenCalled()
+
+    dispatchPageShow(true)
+    jest.runAllTimers()
+    expect(cb).toHaveBeenCalledTimes(1)
+    expect(cb.mock.calls[0][0]).toEqual({ restoreTime: expect.any(Number), timestamp: expect.any(Number) })
+
+    observer.stop()
+    dispatchPageShow(true)
+    jest.runAllTimers()
+    expect(cb).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,40 @@
+import { createMark, createMeasure } from '../src/utils/CustomTiming'
+import { buildSystemPrompt } from '../src/utils'
+
+describe('CustomTiming', () => {
+  afterEach(() => {
+    jest.clearAllMocks()
+  })
+
+  it('createMark 返回标记时间点', () => {
+    performance.mark.mockReturnValueOnce({ startTime: 1234.5678 })
+    expect(createMark('search-results-shown')).toBe(1234.568)
+    expect(performance.mark).toHaveBeenCalledWith('search-results-shown')
+  })
+
+  it('createMeasure 以 options 形式调用 performance.measure，并返回耗时', () => {
+    performance.measure.mockReturnValueOnce({ duration: 420.5 })
+    expect(createMeasure('checkout', 'checkout-start')).toBe(420.5)
+    expect(performance.measure).toHaveBeenCalledWith('checkout', { start: 'checkout-start' })
+
+    performance.measure.mockReturnValueOnce({ duration: 80 })
+    createMeasure('span', 100, 180)
+    expect(performance.measure).toHaveBeenLastCalledWith('span', { start: 100, end: 180 })
+  })
+
+  it('measure 无返回值时从缓冲区读取，mark 不存在等异常时返回 null', () => {
+    performance.getEntriesByName.mockReturnValueOnce([{ duration: 10 }, { duration: 30 }])
+    expect(createMeasure('legacy', 'a', 'b')).toBe(30)
+
+    performance.measure.mockImplementationOnce(() => {
+      throw new Error('mark not found')
+    })
+    expect(createMeasure('broken', 'missing')).toBeNull()
+  })
+
+  it('scoringRules 支持 customTimings.<name> 阈值', () => {
+    const prompt = buildSystemPrompt({ 'customTimings.checkout': [800, 2000], unknown: [1, 2] })
+    expect(prompt).toContain('customTimings.checkout: ≤800')
+    expect(prompt).not.toContain('unknown')
+  })
+})
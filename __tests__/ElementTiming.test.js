@@ -0,0 +1,66 @@
+import { observeElementTiming } from '../src/utils/ElementTiming'
+
+describe('observeElementTiming', () => {
+  afterEach(() => {
+    delete global.PerformanceObserver
+    document.body.innerHTML = ''
+    jest.useRealTimers()
+  })
+
+  it('支持 Element Timing API 时读取 element 条目，跨域图片退回 loadTime', () => {
+    let observerCallback
+    global.PerformanceObserver = jest.fn(function (cb) {
+      observerCallback = cb
+      this.observe = jest.fn()
+      this.disconnect = jest.fn()
+    })
+    global.PerformanceObserver.supportedEntryTypes = ['element']
+
+    const cb = jest.fn()
+    const observer = observeElementTiming(cb)
+    const img = document.createElement('img')
+    img.id = 'hero'
+    observerCallback({
+      getEntries: () => [
+        { identifier: 'product-image', renderTime: 0, loadTime: 820.5, url: 'https://cdn.com/a.jpg', element: img },
+        { identifier: '', renderTime: 100 }
+      ]
+    })
+
+    expect(cb).toHaveBeenCalledTimes(1)
+    expect(cb.mock.calls[0][0]).toEqual({
+      identifier: 'product-image',
+      renderTime: 820.5,
+      loadTime: 820.5,
+      url: 'https://cdn.com/a.jpg',
+      target: '#hero',
+      source: 'element-timing'
+    })
+    observer.stop()
+  })
+
+  it('不支持时用 MutationObserver 发现带 elementtiming 的新节点，并在下一帧记录', async () => {
+    jest.useFakeTimers()
+    const cb = jest.fn()
+    const observer = observeElementTiming(cb)
+
+    const title = document.createElement('h1')
+    title.setAttribute('elementtiming', 'page-title')
+    title.textContent = 'Hello'
+    const wrapper = document.createElement('div')
+    wrapper.appendChild(title)
+    document.body.appendChild(wrapper)
+
+    // 等待 MutationObserver 回调，再推进 rAF
+    await Promise.resolve()
+    jest.advanceTimersByTime(16)
+
+    expect(cb).toHaveBeenCalledTimes(1)
+    expect(cb.mock.calls[0][0]).toMatchObject({
+      identifier: 'page-title',
+      loadTime: null,
+      source: 'mutation-observer'
+    })
+    observer.stop()
+  })
+})
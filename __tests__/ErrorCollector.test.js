@@ -0,0 +1,67 @@
+import { normalizeStack, getErrorFingerprint, trackErrors } from '../src/utils/ErrorCollector'
+
+describe('ErrorCollector 堆栈与指纹', () => {
+  it('normalizeStack 去掉首行描述、at 前缀与 URL 参数', () => {
+    const stack = [
+      'TypeError: a is undefined',
+      '    at render (https://cdn.com/app.js?v=123:10:5)',
+      '    at https://cdn.com/vendor.js#x:1:200'
+    ].join('\n')
+    expect(normalizeStack(stack)).toEqual([
+      'render (https://cdn.com/app.js:10:5)',
+      'https://cdn.com/vendor.js:1:200'
+    ])
+  })
+
+  it('仅列号不同的错误指纹相同', () => {
+    const base = { type: 'error', name: 'TypeError', message: 'x' }
+    const a = getErrorFingerprint({ ...base, stack: ['render (app.js:10:5)'] })
+    const b = getErrorFingerprint({ ...base, stack: ['render (app.js:10:9)'] })
+    const c = getErrorFingerprint({ ...base, message: 'y', stack: ['render (app.js:10:5)'] })
+    expect(a).toBe(b)
+    expect(a).not.toBe(c)
+  })
+})
+
+describe('trackErrors 事件监听', () => {
+  it('error / unhandledrejection 事件应回调规范化记录，stop 后不再回调', () => {
+    const cb = jest.fn()
+    const tracker = trackErrors(cb)
+
+    window.dispatchEvent(new ErrorEvent('error', {
+      error: new Error('boom'),
+      message: 'boom',
+      filename: 'https://cdn.com/app.js?v=1',
+      lineno: 1,
+      colno: 2
+    }))
+    const rejection = new Event('unhandledrejection')
+    rejection.reason = 'network down'
+    window.dispatchEvent(rejection)
+
+    expect(cb).toHaveBeenCalledTimes(2)
+    expect(cb.mock.calls[0][0]).toMatchObject({
+      type: 'error',
+      name: 'Error',
+      message: 'boom',
+      source: 'https://cdn.com/app.js:1:2'
+    })
+    expect(cb.mock.calls[1][0]).toMatchObject({
+      type: 'unhandledrejection',
+      message: 'network down'
+    })
+    expect(typeof cb.mock.calls[0][0].fingerprint).toBe('string')
+
+    tracker.stop()
+    window.dispatchEvent(new ErrorEvent('error', { message: 'after stop' }))
+    expect(cb).toHaveBeenCalledTimes(2)
+  })
+
+  it('captureError 可手动上报并附带额外字段', () => {
+    const cb = jest.fn()
+    const tracker = trackErrors(cb)
+    tracker.captureError(new Error('vue boom'), { type: 'vue', info: 'render function' })
+    expect(cb.mock.calls[0][0]).toMatchObject({ type: 'vue', info: 'render function', message: 'vue boom' })
+    tracker.stop()
+  })
+})
@@ -0,0 +1,130 @@
+import { FlowTracker } from '../src/sdk/FlowTracker'
+
+/** 只实现 FlowTracker 用到的 PerfCollector 接口 */
+function createPerf() {
+  let listener = null
+  return {
+    currentPage: 'cart',
+    onRouteChange: (fn) => {
+      listener = fn
+      return () => {
+        listener = null
+      }
+    },
+    buildSnapshot: page => ({ pageName: page, SPA_Render: 50, apiStats: null, longTaskStats: null, errors: null }),
+    // 模拟路由切换：离开页面的快照 + 新页面 key
+    navigate(snapshot, nextKey) {
+      this.currentPage = nextKey
+      listener && listener(snapshot, nextKey, { final: false })
+    },
+    // 模拟页面隐藏时的上报：只结束当前页面，不切换路由
+    flush(snapshot) {
+      listener && listener(snapshot, this.currentPage, { final: true })
+    }
+  }
+}
+
+describe('FlowTracker', () => {
+  let now
+  let perf
+  let onFlowComplete
+  let flows
+
+  beforeEach(() => {
+    now = 0
+    jest.spyOn(performance, 'now').mockImplementation(() => now)
+    perf = createPerf()
+    onFlowComplete = jest.fn()
+    flows = new FlowTracker(perf, onFlowComplete, { timeout: 1000 })
+  })
+
+  afterEach(() => {
+    flows.destroy()
+    jest.restoreAllMocks()
+    jest.useRealTimers()
+  })
+
+  it('跨路由累加各步骤耗时，end 时把当前页面计为最后一步', () => {
+    flows.start('checkout', { data: { from: 'banner' } })
+    now = 300
+    perf.navigate({
+      pageName: 'cart',
+      SPA_Render: 120,
+      apiStats: { totalTime: 200, errorCount: 1 },
+      longTaskStats: { count: 2, avgTime: 60 },
+      errors: { total: 1 }
+    }, 'payment')
+    now = 500
+    flows.end('checkout', { orderId: 1 })
+
+    expect(onFlowComplete).toHaveBeenCalledTimes(1)
+    const record = onFlowComplete.mock.calls[0][0]
+    expect(record).toMatchObject({
+      type: 'flow',
+      pageName: 'flow:checkout',
+      status: 'completed',
+      reason: null,
+      startPage: 'cart',
+      endPage: 'payment',
+      duration: 500,
+      stepCount: 2,
+      renderTime: 170,
+      apiTime: 200,
+      apiErrorCount: 1,
+      longTaskTime: 120,
+      errorCount: 1,
+      data: { from: 'banner', orderId: 1 }
+    })
+    expect(record.steps.map(s => [s.page, s.duration])).toEqual([['cart', 300], ['payment', 200]])
+  })
+
+  it('进入 steps 之外的路由时记为放弃，且不计入新页面', () => {
+    flows.start('checkout', { steps: ['cart', 'payment'] })
+    perf.navigate(perf.buildSnapshot('cart'), 'home')
+
+    const record = onFlowComplete.mock.calls[0][0]
+    expect(record).toMatchObject({ status: 'abandoned', reason: 'left_flow', stepCount: 1, endPage: 'cart' })
+    flows.end('checkout')
+    expect(onFlowComplete).toHaveBeenCalledTimes(1)
+  })
+
+  it('页面隐藏时的上报不计为步骤', () => {
+    flows.start('checkout', { steps: ['cart', 'payment'] })
+    now = 100
+    perf.flush(perf.buildSnapshot('cart'))
+    perf.flush(perf.buildSnapshot('cart'))
+    now = 300
+    flows.end('checkout')
+
+    const record = onFlowComplete.mock.calls[0][0]
+    expect(record).toMatchObject({ status: 'completed', stepCount: 1 })
+    expect(record.steps.map(s => [s.page, s.duration])).toEqual([['cart', 300]])
+  })
+
+  it('超时、页面关闭与重复开始分别上报', () => {
+    jest.useFakeTimers()
+    flows.start('search')
+    jest.advanceTimersByTime(1000)
+    expect(onFlowComplete.mock.calls[0][0]).toMatchObject({ flowName: 'search', status: 'timeout' })
+
+    const first = flows.start('checkout')
+    flows.start('checkout')
+    expect(onFlowComplete.mock.calls[1][0]).toMatchObject({ status: 'abandoned', reason: 'restarted' })
+    first.end()
+    expect(onFlowComplete).toHaveBeenCalledTimes(2)
+
+    window.dispatchEvent(new Event('pagehide'))
+    expect(onFlowComplete.mock.calls[2][0]).toMatchObject({ status: 'abandoned', reason: 'unload' })
+  })
+
+  it('页面进入 bfcache 时流程保持进行，恢复后可正常结束', () => {
+    flows.start('checkout')
+    const event = new Event('pagehide')
+    event.persisted = true
+    window.dispatchEvent(event)
+    expect(onFlowComplete).not.toHaveBeenCalled()
+
+    flows.end('checkout')
+    expect(onFlowComplete.mock.calls[0][0]).toMatchObject({ flowName: 'checkout', status: 'completed' })
+  })
+})
@@ -0,0 +1,49 @@
+import { createINPTracker, getINPAttribution } from '../src/utils/INPTracker'
+
+const entry = (interactionId, duration, extra = {}) => ({
+  interactionId,
+  duration,
+  name: 'click',
+  startTime: 100,
+  processingStart: 120,
+  processingEnd: 180,
+  ...extra
+})
+
+describe('INPTracker', () => {
+  it('同一交互取最长事件，无 interactionId 的忽略', () => {
+    const tracker = createINPTracker()
+    tracker.add(entry(1, 80))
+    tracker.add(entry(1, 120))
+    tracker.add(entry(0, 500))
+    tracker.add(entry(2, 90))
+    expect(tracker.getINPEntry().duration).toBe(120)
+  })
+
+  it('交互超过 50 次时跳过最差一次（p98）', () => {
+    const tracker = createINPTracker()
+    for (let i = 1; i <= 60; i++) {
+      tracker.add(entry(i, i === 60 ? 900 : 50 + i))
+    }
+    expect(tracker.getINPEntry().duration).toBe(109)
+    tracker.reset()
+    expect(tracker.getINPEntry()).toBeNull()
+  })
+
+  it('getINPAttribution 拆分三个阶段并生成目标选择器', () => {
+    const button = document.createElement('button')
+    button.className = 'buy primary'
+    const panel = document.createElement('div')
+    panel.id = 'panel'
+    panel.appendChild(button)
+
+    expect(getINPAttribution(entry(1, 120, { target: button }))).toEqual({
+      target: '#panel > button.buy.primary',
+      type: 'click',
+      time: 100,
+      inputDelay: 20,
+      processingDuration: 60,
+      presentationDelay: 40
+    })
+  })
+})
@@ -0,0 +1,32 @@
+import { computeInteractivity } from '../src/utils/Interactivity'
+
+describe('computeInteractivity', () => {
+  const task = (startTime, duration, blockingDuration = duration - 50) => ({ startTime, duration, blockingDuration })
+
+  it('TTI 为首个 5 秒静默窗口前最后一个长任务的结束时间，TBT 只累加 start 到 TTI 之间的阻塞时间', () => {
+    const tasks = [
+      task(500, 200), // start 之前，忽略
+      task(1200, 100),
+      task(2000, 300),
+      task(9000, 150) // 静默窗口之后，不计入 TBT
+    ]
+    expect(computeInteractivity(tasks, { start: 1000, now: 12000 })).toEqual({ TBT: 300, TTI: 2300 })
+  })
+
+  it('尚未出现完整静默窗口时 TTI 为 null，TBT 计算到当前', () => {
+    const tasks = [task(1200, 100), task(3000, 80, 45)]
+    expect(computeInteractivity(tasks, { start: 1000, now: 5000 })).toEqual({ TBT: 95, TTI: null })
+  })
+
+  it('跨越 start 的长任务只计 start 之后的阻塞时间', () => {
+    const tasks = [
+      task(900, 300), // start 之后 200ms，阻塞 150ms
+      task(950, 90) // start 之后仅 40ms，不计阻塞
+    ]
+    expect(computeInteractivity(tasks, { start: 1000, now: 7000 })).toEqual({ TBT: 150, TTI: 1200 })
+  })
+
+  it('没有长任务时 TTI 等于 start', () => {
+    expect(computeInteractivity([], { start: 800, now: 6000 })).toEqual({ TBT: 0, TTI: 800 })
+  })
+})
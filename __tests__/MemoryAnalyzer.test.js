@@ -0,0 +1,74 @@
+import { createMemoryAnalyzer, linearSlope } from '../src/utils/MemoryAnalyzer'
+
+const MB = 1024 * 1024
+
+describe('MemoryAnalyzer', () => {
+  afterEach(() => {
+    delete performance.memory
+  })
+
+  it('linearSlope 计算最小二乘斜率', () => {
+    expect(linearSlope([10, 12, 14, 16])).toBe(2)
+    expect(linearSlope([10])).toBe(0)
+  })
+
+  it('同一路由离开时内存持续增长时标记疑似泄漏', () => {
+    performance.memory = { usedJSHeapSize: 50 * MB }
+    const analyzer = createMemoryAnalyzer({ minVisits: 3, slopeThresholdMB: 1 })
+    const visit = (exitMB) => {
+      analyzer.enterRoute()
+      performance.memory.usedJSHeapSize = exitMB * MB
+      return analyzer.exitRoute('detail')
+    }
+
+    expect(visit(60)).toMatchObject({
+      source: 'performance.memory',
+      sample: 'exit',
+      entryMB: 50,
+      exitMB: 60,
+      deltaMB: 10,
+      visits: 1,
+      leakSuspected: false
+    })
+    visit(65)
+    const stats = visit(70)
+    expect(stats).toMatchObject({ visits: 3, slopeMB: 5, leakSuspected: true })
+
+    // 其它路由单独累积
+    analyzer.enterRoute()
+    expect(analyzer.exitRoute('home')).toMatchObject({ visits: 1, leakSuspected: false })
+  })
+
+  it('跨源隔离时使用 measureUserAgentSpecificMemory 进入时的读数', async () => {
+    window.crossOriginIsolated = true
+    let bytes = 80 * MB
+    performance.measureUserAgentSpecificMemory = jest.fn(() => Promise.resolve({ bytes }))
+    try {
+      const analyzer = createMemoryAnalyzer({ minVisits: 2, slopeThresholdMB: 1 })
+      analyzer.enterRoute()
+      await Promise.resolve()
+      expect(analyzer.exitRoute('detail')).toMatchObject({
+        source: 'measureUserAgentSpecificMemory',
+        sample: 'entry',
+        entryMB: 80,
+        exitMB: null,
+        deltaMB: null,
+        visits: 1
+      })
+
+      bytes = 90 * MB
+      analyzer.enterRoute()
+      await Promise.resolve()
+      expect(analyzer.exitRoute('detail')).toMatchObject({ visits: 2, slopeMB: 10, leakSuspected: true })
+    } finally {
+      delete window.crossOriginIsolated
+      delete performance.measureUserAgentSpecificMemory
+    }
+  })
+
+  it('不支持内存 API 时返回 null', () => {
+    const analyzer = createMemoryAnalyzer()
+    analyzer.enterRoute()
+    expect(analyzer.exitRoute('home')).toBeNull()
+  })
+})
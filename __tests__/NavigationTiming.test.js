@@ -0,0 +1,41 @@
+import { getNavigationTiming } from '../src/utils/NavigationTiming'
+
+describe('getNavigationTiming', () => {
+  it('拆分网络、服务端与客户端阶段，并扣除 activationStart', () => {
+    const timing = getNavigationTiming({
+      type: 'prerender',
+      nextHopProtocol: 'h2',
+      activationStart: 100,
+      redirectStart: 0,
+      redirectEnd: 0,
+      domainLookupStart: 10,
+      domainLookupEnd: 20,
+      connectStart: 20,
+      secureConnectionStart: 30,
+      connectEnd: 50,
+      requestStart: 50,
+      responseStart: 150,
+      responseEnd: 180,
+      domInteractive: 400,
+      domContentLoadedEventEnd: 450,
+      loadEventEnd: 900,
+      transferSize: 2048
+    })
+    expect(timing).toEqual({
+      type: 'prerender',
+      protocol: 'h2',
+      activationStart: 100,
+      redirect: 0,
+      dns: 10,
+      tcp: 10,
+      tls: 20,
+      request: 100,
+      response: 30,
+      TTFB: 50,
+      domInteractive: 300,
+      domContentLoaded: 350,
+      load: 800,
+      transferSize: 2048
+    })
+  })
+})
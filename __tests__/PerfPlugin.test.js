@@ -0,0 +1,56 @@
+import { PerfPlugin, setDefaultCollector } from '../src/sdk/PerfPlugin'
+
+/** 安装插件并返回注册的 mixin */
+function install(options) {
+  const app = { mixin: jest.fn() }
+  PerfPlugin.install(app, options)
+  return app.mixin.mock.calls[0] && app.mixin.mock.calls[0][0]
+}
+
+describe('PerfPlugin', () => {
+  let now
+
+  beforeEach(() => {
+    now = 0
+    jest.spyOn(performance, 'now').mockImplementation(() => now)
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    setDefaultCollector(null)
+  })
+
+  it('记录组件挂载与更新耗时', () => {
+    const perf = { recordComponentTiming: jest.fn() }
+    const mixin = install({ perf, samplingRate: 1 })
+    const vm = { $options: { __name: 'SkuPanel' } }
+
+    mixin.beforeMount.call(vm)
+    now = 12
+    mixin.mounted.call(vm)
+    mixin.beforeUpdate.call(vm)
+    now = 15
+    mixin.updated.call(vm)
+
+    expect(perf.recordComponentTiming.mock.calls).toEqual([
+      ['SkuPanel', 'mount', 12],
+      ['SkuPanel', 'update', 3]
+    ])
+  })
+
+  it('未传 perf 时使用 initPerfSDK 设置的默认实例', () => {
+    const perf = { recordComponentTiming: jest.fn() }
+    const mixin = install({ samplingRate: 1 })
+    setDefaultCollector(perf)
+
+    const vm = { $options: {} }
+    mixin.beforeMount.call(vm)
+    mixin.mounted.call(vm)
+    expect(perf.recordComponentTiming).toHaveBeenCalledWith('Anonymous', 'mount', 0)
+  })
+
+  it('未命中采样时不注册 mixin', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5)
+    expect(install({ samplingRate: 0.1 })).toBeUndefined()
+  })
+})
@@ -0,0 +1,37 @@
+import { normalizePath, maskPathSegments } from '../src/utils'
+import { getVueRouteKey } from '../src/utils/RouterAdapters'
+
+describe('getVueRouteKey', () => {
+  it('使用匹配到的路由记录路径模板作为页面 key', () => {
+    const route = (fullPath) => ({
+      name: undefined,
+      path: fullPath.split('?')[0],
+      fullPath,
+      matched: [{ path: '/product' }, { path: '/product/:id' }]
+    })
+    expect(getVueRouteKey(route('/product/123?from=home'))).toBe('/product/:id')
+    expect(getVueRouteKey(route('/product/456'))).toBe('/product/:id')
+  })
+
+  it('未匹配到路由记录时按路径段归一化', () => {
+    expect(getVueRouteKey({ path: '/order/123', fullPath: '/order/123?x=1', matched: [] })).toBe('/order/:id')
+  })
+})
+
+describe('normalizePath', () => {
+  it('默认只保留路由路径', () => {
+    expect(normalizePath('https://a.com/product/123?x=1')).toBe('/product/123')
+    expect(normalizePath('https://a.com/app/#/order/42?x=1')).toBe('/order/42')
+  })
+
+  it('pattern 为 true 时屏蔽数字、UUID 与哈希段', () => {
+    expect(normalizePath('https://a.com/product/123/sku/3f2b8a1c-1d2e-4f5a-9b8c-7d6e5f4a3b2c', true))
+      .toBe('/product/:id/sku/:uuid')
+    expect(maskPathSegments('/share/0123456789abcdef0123')).toBe('/share/:hash')
+  })
+
+  it('支持自定义归一化函数', () => {
+    expect(normalizePath('https://a.com/u/tom/posts', path => path.replace(/^\/u\/[^/]+/, '/u/:name')))
+      .toBe('/u/:name/posts')
+  })
+})
@@ -0,0 +1,59 @@
+import { summarizeChunkLoads, computeTransitionPhases, describeNavigationFailure } from '../src/utils/RouteTransition'
+
+const resource = (name, startTime, responseEnd, extra = {}) => ({
+  name,
+  initiatorType: 'script',
+  startTime,
+  responseEnd,
+  duration: responseEnd - startTime,
+  transferSize: 1000,
+  ...extra
+})
+
+describe('summarizeChunkLoads', () => {
+  it('只统计导航期间开始的 chunk，并行下载按并集计算耗时', () => {
+    const entries = [
+      resource('https://a.com/js/about.1a2b.js', 110, 200),
+      resource('https://a.com/css/about.1a2b.css?v=1', 150, 250, { initiatorType: 'link' }),
+      resource('https://a.com/js/early.js', 50, 120), // 导航开始前
+      resource('https://a.com/api/list', 120, 300, { initiatorType: 'fetch' }),
+      resource('https://a.com/img/a.png', 120, 300, { initiatorType: 'img' })
+    ]
+    expect(summarizeChunkLoads(entries, 100, 400)).toEqual({ time: 140, count: 2, size: 2000 })
+  })
+
+  it('下载区间截断到组件解析完成时刻', () => {
+    expect(summarizeChunkLoads([resource('/js/a.js', 100, 500)], 100, 300).time).toBe(200)
+  })
+})
+
+describe('computeTransitionPhases', () => {
+  it('拆分守卫、chunk 下载与渲染', () => {
+    const phases = computeTransitionPhases(
+      { start: 100, resolved: 400, end: 600 },
+      [resource('/js/about.js', 150, 350)]
+    )
+    expect(phases).toEqual({ guards: 100, chunks: 200, render: 200, total: 500, chunkCount: 1, chunkSize: 1000 })
+  })
+
+  it('未触发 beforeResolve 时全部记入 guards', () => {
+    expect(computeTransitionPhases({ start: 0, resolved: null, end: 80 }, [])).toMatchObject({ guards: 80, chunks: 0, render: 0, total: 80 })
+  })
+})
+
+describe('describeNavigationFailure', () => {
+  it('识别 Vue Router 的失败类型', () => {
+    expect(describeNavigationFailure({ type: 4, message: 'aborted' }, { fullPath: '/b' }, { fullPath: '/a' }))
+      .toEqual({ type: 'aborted', from: '/a', to: '/b', message: 'aborted' })
+    expect(describeNavigationFailure({ type: 16 }).type).toBe('duplicated')
+  })
+
+  it('守卫或 chunk 加载抛出的错误记为 error', () => {
+    expect(describeNavigationFailure(new Error('Loading chunk 3 failed'))).toEqual({
+      type: 'error',
+      from: null,
+      to: null,
+      message: 'Loading chunk 3 failed'
+    })
+  })
+})
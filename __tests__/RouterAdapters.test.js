@@ -0,0 +1,346 @@
+import {
+  createVueRouterAdapter,
+  createVueRouter3Adapter,
+  createReactRouterAdapter,
+  matchRoutePattern
+} from '../src/utils/RouterAdapters'
+import { installRouteTracker } from '../src/utils/RouteTracker'
+
+// 等待 nextTick / 微任务与下一帧
+const flush = async () => {
+  await Promise.resolve()
+  await Promise.resolve()
+  jest.advanceTimersByTime(16)
+}
+
+const createHooks = () => ({
+  onRouteChange: jest.fn(),
+  onRenderComplete: jest.fn(),
+  onTransition: jest.fn(),
+  onNavigationFailure: jest.fn()
+})
+
+describe('createVueRouterAdapter', () => {
+  let guards
+  let router
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    guards = {}
+    const register = name => jest.fn((fn) => {
+      guards[name] = fn
+      return jest.fn()
+    })
+    router = {
+      beforeEach: register('beforeEach'),
+      beforeResolve: register('beforeResolve'),
+      afterEach: register('afterEach'),
+      onError: register('onError')
+    }
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  const route = (fullPath, pattern) => ({ fullPath, path: fullPath.split('?')[0], matched: [{ path: pattern }] })
+
+  const navigate = (to, from) => {
+    guards.beforeEach(to, from, () => {})
+    guards.beforeResolve(to, from, () => {})
+  }
+
+  it('首次导航只测量渲染，之后按路由模式切换页面', async () => {
+    const hooks = createHooks()
+    installRouteTracker(createVueRouterAdapter(router), hooks)
+    const home = route('/home', '/home')
+    const detail = route('/product/1?from=home', '/product/:id')
+
+    navigate(home, route('/', '/'))
+    guards.afterEach(home, route('/', '/'))
+    await flush()
+    expect(hooks.onRouteChange).not.toHaveBeenCalled()
+    expect(hooks.onRenderComplete).toHaveBeenCalledTimes(1)
+
+    navigate(detail, home)
+    guards.afterEach(detail, home)
+    await flush()
+    expect(hooks.onRouteChange).toHaveBeenCalledWith('/home', '/home', '/product/:id', { startTime: expect.any(Number) })
+    expect(hooks.onTransition).toHaveBeenLastCalledWith(expect.objectContaining({
+      to: '/product/1?from=home',
+      redirectedFrom: null,
+      chunks: 0
+    }))
+  })
+
+  it('导航失败时记录失败且不测量渲染', async () => {
+    const hooks = createHooks()
+    installRouteTracker(createVueRouterAdapter(router), hooks)
+    const home = route('/home', '/home')
+    const admin = route('/admin', '/admin')
+
+    navigate(home, home)
+    guards.afterEach(home, home, { type: 4, message: 'Navigation aborted' })
+    await flush()
+    expect(hooks.onRenderComplete).not.toHaveBeenCalled()
+    expect(hooks.onNavigationFailure).toHaveBeenCalledWith({ type: 'aborted', from: '/home', to: '/home', message: 'Navigation aborted' })
+
+    guards.onError(new Error('Loading chunk admin failed'), admin, home)
+    expect(hooks.onNavigationFailure).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'error', to: '/admin' }))
+  })
+
+  it('守卫重定向只在提交时结束一次原页面', async () => {
+    const hooks = createHooks()
+    installRouteTracker(createVueRouterAdapter(router), hooks)
+    const home = route('/home', '/home')
+    const admin = route('/admin', '/admin')
+    const login = route('/login?redirect=/admin', '/login')
+    login.redirectedFrom = admin
+
+    navigate(home, route('/', '/'))
+    guards.afterEach(home, route('/', '/'))
+    await flush()
+
+    // beforeEach 重定向：同一个 from 再次进入 beforeEach
+    guards.beforeEach(admin, home, () => {})
+    navigate(login, home)
+    expect(hooks.onRouteChange).not.toHaveBeenCalled()
+    guards.afterEach(login, home)
+    await flush()
+    expect(hooks.onRouteChange).toHaveBeenCalledTimes(1)
+    expect(hooks.onRouteChange).toHaveBeenCalledWith('/home', '/home', '/login', { startTime: expect.any(Number) })
+    expect(hooks.onTransition).toHaveBeenLastCalledWith(expect.objectContaining({
+      to: '/login?redirect=/admin',
+      redirectedFrom: '/admin'
+    }))
+  })
+
+  it('中止的导航不切换页面，之后仍从原页面离开', async () => {
+    const hooks = createHooks()
+    installRouteTracker(createVueRouterAdapter(router), hooks)
+    const home = route('/home', '/home')
+    const admin = route('/admin', '/admin')
+    const about = route('/about', '/about')
+
+    navigate(home, route('/', '/'))
+    guards.afterEach(home, route('/', '/'))
+    await flush()
+
+    // next(false)
+    guards.beforeEach(admin, home, () => {})
+    guards.afterEach(admin, home, { type: 4, message: 'Navigation aborted' })
+    await flush()
+    expect(hooks.onRouteChange).not.toHaveBeenCalled()
+    expect(hooks.onRenderComplete).toHaveBeenCalledTimes(1)
+
+    // 被新导航取消：旧导航的失败晚于新导航开始
+    guards.beforeEach(admin, home, () => {})
+    navigate(about, home)
+    guards.afterEach(admin, home, { type: 8, message: 'Navigation cancelled' })
+    guards.afterEach(about, home)
+    await flush()
+    expect(hooks.onRouteChange).toHaveBeenCalledTimes(1)
+    expect(hooks.onRouteChange).toHaveBeenCalledWith('/home', '/home', '/about', { startTime: expect.any(Number) })
+    expect(hooks.onNavigationFailure).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'cancelled', to: '/admin' }))
+  })
+
+  it('stop 时移除所有钩子', () => {
+    const tracker = installRouteTracker(createVueRouterAdapter(router), createHooks())
+    tracker.stop()
+    ;['beforeEach', 'beforeResolve', 'afterEach', 'onError'].forEach((name) => {
+      expect(router[name].mock.results[0].value).toHaveBeenCalled()
+    })
+  })
+})
+
+describe('createVueRouter3Adapter', () => {
+  let guards
+  let router
+  let push
+
+  const route = fullPath => ({ fullPath, path: fullPath, matched: [{ path: fullPath }] })
+  const failure = (type, from, to) => Object.assign(new Error(`failure ${type}`), { _isRouter: true, type, from, to })
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    guards = {}
+    // Vue Router 3 的钩子注册没有返回值
+    const register = name => jest.fn((fn) => {
+      guards[name] = fn
+    })
+    push = jest.fn()
+    router = {
+      beforeEach: register('beforeEach'),
+      beforeResolve: register('beforeResolve'),
+      afterEach: register('afterEach'),
+      onError: register('onError'),
+      push,
+      replace: jest.fn()
+    }
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  it('通过 push 的 reject 记录导航失败，且不切换页面', async () => {
+    const hooks = createHooks()
+    installRouteTracker(createVueRouter3Adapter(router), hooks)
+    const home = route('/home')
+    const admin = route('/admin')
+
+    guards.beforeEach(home, route('/'), () => {})
+    guards.afterEach(home, route('/'))
+    await flush()
+
+    // next(false)：push 返回的 Promise 以 aborted 失败 reject
+    const aborted = failure(4, home, admin)
+    push.mockImplementationOnce(() => {
+      guards.beforeEach(admin, home, () => {})
+      return Promise.reject(aborted)
+    })
+    await expect(router.push('/admin')).rejects.toBe(aborted)
+    expect(hooks.onNavigationFailure).toHaveBeenCalledWith({ type: 'aborted', from: '/home', to: '/admin', message: 'failure 4' })
+
+    // 回调形式：onAbort 照常调用
+    const duplicated = failure(16, home, home)
+    push.mockImplementationOnce((location, onComplete, onAbort) => onAbort(duplicated))
+    const onAbort = jest.fn()
+    router.push('/home', undefined, onAbort)
+    expect(onAbort).toHaveBeenCalledWith(duplicated)
+    expect(hooks.onNavigationFailure).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'duplicated' }))
+
+    // 普通错误只由 onError 上报
+    push.mockImplementationOnce(() => Promise.reject(new Error('boom')))
+    await expect(router.push('/x')).rejects.toThrow('boom')
+    expect(hooks.onNavigationFailure).toHaveBeenCalledTimes(2)
+
+    const about = route('/about')
+    guards.beforeEach(about, home, () => {})
+    guards.afterEach(about, home)
+    await flush()
+    expect(hooks.onRouteChange).toHaveBeenCalledTimes(1)
+    expect(hooks.onRouteChange).toHaveBeenCalledWith('/home', '/home', '/about', { startTime: expect.any(Number) })
+  })
+
+  it('stop 时恢复 push / replace', () => {
+    const replace = router.replace
+    const tracker = installRouteTracker(createVueRouter3Adapter(router), createHooks())
+    expect(router.push).not.toBe(push)
+    tracker.stop()
+    expect(router.push).toBe(push)
+    expect(router.replace).toBe(replace)
+  })
+})
+
+describe('createReactRouterAdapter', () => {
+  let listener
+  let router
+
+  const location = (pathname, state = null) => ({ pathname, search: '', hash: '', state })
+  const idle = { state: 'idle', location: undefined }
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    const home = location('/')
+    router = {
+      routes: [{
+        path: '/',
+        children: [
+          { index: true },
+          { path: 'product/:id' },
+          { path: 'product/new' },
+          { path: '*' }
+        ]
+      }],
+      state: { initialized: true, location: home, navigation: idle, errors: null },
+      subscribe: jest.fn((fn) => {
+        listener = fn
+        return jest.fn()
+      })
+    }
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+  })
+
+  const emit = (patch) => {
+    router.state = { ...router.state, ...patch }
+    listener(router.state)
+  }
+
+  it('loading → idle 为一次导航，页面 key 为路由模式', async () => {
+    const hooks = createHooks()
+    installRouteTracker(createReactRouterAdapter(router), hooks)
+    const target = location('/product/42')
+
+    emit({ navigation: { state: 'loading', location: target } })
+    expect(hooks.onRouteChange).not.toHaveBeenCalled()
+
+    emit({ navigation: idle, location: target })
+    expect(hooks.onRouteChange).toHaveBeenCalledWith('/', '/', '/product/:id', { startTime: expect.any(Number) })
+    await flush()
+    expect(hooks.onRenderComplete).toHaveBeenCalledTimes(1)
+    expect(hooks.onTransition).toHaveBeenCalledWith(expect.objectContaining({ to: '/product/42' }))
+  })
+
+  it('loader 重定向记录 redirectedFrom，被新导航打断记为 cancelled', async () => {
+    const hooks = createHooks()
+    installRouteTracker(createReactRouterAdapter(router), hooks)
+
+    emit({ navigation: { state: 'loading', location: location('/product/1') } })
+    emit({ navigation: { state: 'loading', location: location('/product/2') } })
+    expect(hooks.onNavigationFailure).toHaveBeenCalledWith(expect.objectContaining({ type: 'cancelled', to: '/product/1' }))
+
+    const redirected = location('/login', { _isRedirect: true })
+    emit({ navigation: { state: 'loading', location: redirected } })
+    emit({ navigation: idle, location: redirected })
+    await flush()
+    expect(hooks.onRouteChange).toHaveBeenCalledTimes(1)
+    expect(hooks.onRouteChange).toHaveBeenCalledWith('/', '/', '/*', { startTime: expect.any(Number) })
+    expect(hooks.onTransition).toHaveBeenCalledWith(expect.objectContaining({ to: '/login', redirectedFrom: '/product/2' }))
+  })
+
+  it('无 loader 的导航直接提交；location 未变回到 idle 记为 aborted', async () => {
+    const hooks = createHooks()
+    installRouteTracker(createReactRouterAdapter(router), hooks)
+
+    emit({ location: location('/product/new') })
+    expect(hooks.onRouteChange).toHaveBeenCalledWith('/', '/', '/product/new', { startTime: expect.any(Number) })
+
+    emit({ navigation: { state: 'loading', location: location('/x') } })
+    emit({ navigation: idle })
+    expect(hooks.onNavigationFailure).toHaveBeenCalledWith(expect.objectContaining({ type: 'aborted', from: '/product/new', to: '/x' }))
+    expect(hooks.onRouteChange).toHaveBeenCalledTimes(1)
+  })
+
+  it('loader 出错仍切换到出错页面，错误单独上报', async () => {
+    const hooks = createHooks()
+    installRouteTracker(createReactRouterAdapter(router), hooks)
+    const broken = location('/product/1')
+
+    emit({ navigation: { state: 'loading', location: broken } })
+    emit({ navigation: idle, location: broken, errors: { product: new Error('boom') } })
+    expect(hooks.onRouteChange).toHaveBeenLastCalledWith('/', '/', '/product/:id', { startTime: expect.any(Number) })
+    expect(hooks.onNavigationFailure).toHaveBeenCalledWith(expect.objectContaining({ type: 'error', from: '/', to: '/product/1', message: 'boom' }))
+    await flush()
+    expect(hooks.onRenderComplete).toHaveBeenCalledTimes(1)
+
+    const next = location('/product/new')
+    emit({ navigation: { state: 'loading', location: next } })
+    emit({ navigation: idle, location: next, errors: null })
+    expect(hooks.onRouteChange).toHaveBeenCalledTimes(2)
+    expect(hooks.onRouteChange).toHaveBeenLastCalledWith('/product/:id', '/product/1', '/product/new', { startTime: expect.any(Number) })
+  })
+})
+
+describe('matchRoutePattern', () => {
+  it('选出最具体的路由模式', () => {
+    const patterns = ['/', '/product/:id', '/product/new', '/*']
+    expect(matchRoutePattern(patterns, '/product/new')).toBe('/product/new')
+    expect(matchRoutePattern(patterns, '/product/7')).toBe('/product/:id')
+    expect(matchRoutePattern(patterns, '/a/b')).toBe('/*')
+    expect(matchRoutePattern(['/about'], '/contact')).toBeNull()
+  })
+})
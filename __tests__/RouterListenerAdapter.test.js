@@ -0,0 +1,128 @@
+import { createNativeRouterAdapter } from '../src/utils/RouterListenerAdapter'
+import { installRouteTracker } from '../src/utils/RouteTracker'
+
+const createHooks = () => ({
+  onRouteChange: jest.fn(),
+  onRenderComplete: jest.fn(),
+  onTransition: jest.fn(),
+  onNavigationFailure: jest.fn()
+})
+
+// 模拟 window.navigation：navigate 事件携带 destination
+function createNavigation() {
+  const navigation = new EventTarget()
+  navigation.transition = null
+  navigation.navigate = (url, { sameDocument = true, intercept = false } = {}) => {
+    const event = new Event('navigate')
+    event.destination = { url: new URL(url, location.origin).href, sameDocument }
+    event.downloadRequest = null
+    navigation.dispatchEvent(event)
+    if (intercept) navigation.transition = {}
+  }
+  navigation.succeed = () => {
+    navigation.transition = null
+    navigation.dispatchEvent(new Event('navigatesuccess'))
+  }
+  navigation.fail = (error) => {
+    navigation.transition = null
+    const event = new Event('navigateerror')
+    event.error = error
+    navigation.dispatchEvent(event)
+  }
+  return navigation
+}
+
+describe('createNativeRouterAdapter', () => {
+  const originalPushState = history.pushState
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    delete window.navigation
+    history.pushState = originalPushState
+    jest.useRealTimers()
+  })
+
+  describe('Navigation API', () => {
+    let navigation
+    let tracker
+
+    beforeEach(() => {
+      navigation = createNavigation()
+      window.navigation = navigation
+    })
+
+    afterEach(() => {
+      tracker && tracker.stop()
+    })
+
+    it('navigate 开始、navigatesuccess 提交，不 patch History', async () => {
+      const hooks = createHooks()
+      tracker = installRouteTracker(createNativeRouterAdapter(), hooks)
+      expect(history.pushState).toBe(originalPushState)
+
+      navigation.navigate('/product/42?from=list')
+      await Promise.resolve()
+      expect(hooks.onRouteChange).not.toHaveBeenCalled()
+
+      navigation.succeed()
+      expect(hooks.onRouteChange).toHaveBeenCalledWith('/', '/', '/product/:id', { startTime: expect.any(Number) })
+      jest.advanceTimersByTime(16)
+      expect(hooks.onRenderComplete).toHaveBeenCalledTimes(1)
+      expect(hooks.onTransition).toHaveBeenCalledWith(expect.objectContaining({ to: '/product/42?from=list' }))
+    })
+
+    it('未被 intercept 的跨文档导航不切换页面', async () => {
+      const hooks = createHooks()
+      tracker = installRouteTracker(createNativeRouterAdapter(), hooks)
+
+      navigation.navigate('/other', { sameDocument: false })
+      await Promise.resolve()
+      expect(hooks.onRouteChange).not.toHaveBeenCalled()
+
+      navigation.navigate('/spa', { sameDocument: false, intercept: true })
+      await Promise.resolve()
+      navigation.succeed()
+      expect(hooks.onRouteChange).toHaveBeenCalledWith('/', '/', '/spa', { startTime: expect.any(Number) })
+    })
+
+    it('navigateerror 记为导航失败', async () => {
+      const hooks = createHooks()
+      tracker = installRouteTracker(createNativeRouterAdapter(), hooks)
+
+      navigation.navigate('/slow')
+      await Promise.resolve()
+      const abort = new Error('aborted')
+      abort.name = 'AbortError'
+      navigation.fail(abort)
+      jest.advanceTimersByTime(16)
+      expect(hooks.onRenderComplete).not.toHaveBeenCalled()
+      expect(hooks.onNavigationFailure).toHaveBeenCalledWith({ type: 'aborted', from: '/', to: '/slow', message: 'aborted' })
+      expect(hooks.onRouteChange).not.toHaveBeenCalled()
+
+      // 失败后仍从原页面离开
+      navigation.navigate('/next')
+      await Promise.resolve()
+      navigation.succeed()
+      expect(hooks.onRouteChange).toHaveBeenCalledWith('/', '/', '/next', { startTime: expect.any(Number) })
+    })
+  })
+
+  it('不支持 Navigation API 时退回 patch History', async () => {
+    const hooks = createHooks()
+    const tracker = installRouteTracker(createNativeRouterAdapter(), hooks)
+    expect(history.pushState).not.toBe(originalPushState)
+
+    history.pushState(null, '', '/order/7')
+    await Promise.resolve()
+    expect(hooks.onRouteChange).toHaveBeenCalledWith('/', '/', '/order/:id', { startTime: expect.any(Number) })
+    jest.advanceTimersByTime(16)
+    expect(hooks.onRenderComplete).toHaveBeenCalledTimes(1)
+
+    tracker.stop()
+    expect(history.pushState).toBe(originalPushState)
+    history.replaceState(null, '', '/')
+  })
+})
@@ -0,0 +1,61 @@
+import { observeServerTiming } from '../src/utils/ServerTiming'
+import { normalizeUrlPattern } from '../src/utils'
+
+describe('normalizeUrlPattern', () => {
+  it('去掉 query，并把数字、UUID、哈希段替换为占位符', () => {
+    expect(normalizeUrlPattern('/api/product/123?from=home')).toBe('/api/product/:id')
+    expect(normalizeUrlPattern('https://api.example.com/order/3f2b8a1c-1d2e-4f5a-9b8c-7d6e5f4a3b2c/pay'))
+      .toBe('api.example.com/order/:uuid/pay')
+    expect(normalizeUrlPattern('/static/0123456789abcdef0123/file')).toBe('/static/:hash/file')
+  })
+})
+
+describe('observeServerTiming', () => {
+  let observerCallback
+
+  beforeEach(() => {
+    global.PerformanceObserver = jest.fn(function (cb) {
+      observerCallback = cb
+      this.observe = jest.fn()
+      this.disconnect = jest.fn()
+    })
+  })
+
+  afterEach(() => {
+    delete global.PerformanceObserver
+  })
+
+  it('按接口模式聚合 fetch/XHR 的 Server-Timing，reset 后重新统计', () => {
+    const cb = jest.fn()
+    const tracker = observeServerTiming(cb)
+
+    observerCallback({
+      getEntries: () => [
+        { name: '/api/product/1', initiatorType: 'fetch', serverTiming: [{ name: 'db', duration: 100 }] },
+        { name: '/api/product/2', initiatorType: 'xmlhttprequest', serverTiming: [{ name: 'db', duration: 50 }, { name: 'cache', duration: 1 }] },
+        { name: '/img/a.png', initiatorType: 'img', serverTiming: [{ name: 'cdn', duration: 3 }] },
+        { name: '/api/user', initiatorType: 'fetch', serverTiming: [] }
+      ]
+    })
+
+    expect(cb).toHaveBeenLastCalledWith({
+      navigation: null,
+      endpoints: {
+        '/api/product/:id': {
+          count: 2,
+          metrics: {
+            db: { count: 2, avg: 75, max: 100 },
+            cache: { count: 1, avg: 1, max: 1 }
+          }
+        }
+      }
+    })
+
+    tracker.reset()
+    observerCallback({
+      getEntries: () => [{ name: '/api/cart', initiatorType: 'fetch', serverTiming: [{ name: 'db', duration: 8 }] }]
+    })
+    expect(Object.keys(cb.mock.calls[cb.mock.calls.length - 1][0].endpoints)).toEqual(['/api/cart'])
+    tracker.stop()
+  })
+})
@@ -0,0 +1,64 @@
+import { trackSoftNavigation } from '../src/utils/SoftNavigation'
+
+describe('trackSoftNavigation 软 LCP/FCP', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    document.body.innerHTML = ''
+  })
+
+  const mockRect = (el, width, height) => {
+    el.getBoundingClientRect = () => ({ left: 0, top: 0, right: width, bottom: height, width, height })
+  }
+
+  it('startNavigation 之后插入的最大可见元素作为软 LCP，首次输入后不再更新', async () => {
+    const cb = jest.fn()
+    const tracker = trackSoftNavigation(cb)
+    tracker.startNavigation(performance.now())
+
+    const title = document.createElement('h1')
+    title.textContent = '商品详情'
+    mockRect(title, 300, 40)
+    document.body.appendChild(title)
+    await Promise.resolve()
+    jest.advanceTimersByTime(20)
+
+    const banner = document.createElement('p')
+    banner.textContent = '大段描述'
+    mockRect(banner, 300, 400)
+    document.body.appendChild(banner)
+    await Promise.resolve()
+    jest.advanceTimersByTime(20)
+
+    const names = cb.mock.calls.map(([metric]) => metric.name)
+    expect(names).toEqual(['FCP', 'LCP', 'LCP'])
+    expect(cb.mock.calls[2][0].attribution.target).toBe('html > body > p')
+
+    window.dispatchEvent(new Event('pointerdown'))
+    const footer = document.createElement('p')
+    footer.textContent = '更大的元素'
+    mockRect(footer, 1000, 1000)
+    document.body.appendChild(footer)
+    await Promise.resolve()
+    jest.advanceTimersByTime(20)
+    expect(cb).toHaveBeenCalledTimes(3)
+
+    tracker.stop()
+  })
+
+  it('未调用 startNavigation（硬导航阶段）不产出软 LCP', async () => {
+    const cb = jest.fn()
+    const tracker = trackSoftNavigation(cb)
+    const p = document.createElement('p')
+    p.textContent = 'hello'
+    mockRect(p, 100, 100)
+    document.body.appendChild(p)
+    await Promise.resolve()
+    jest.advanceTimersByTime(20)
+    expect(cb).not.toHaveBeenCalled()
+    tracker.stop()
+  })
+})
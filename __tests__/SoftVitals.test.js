@@ -0,0 +1,282 @@
+// SoftVitals 在 jest.setup 中被全局 mock，这里取真实实现
+const { observeResources, observeLongTasks, trackCLS, trackFPS } = jest.requireActual('../src/utils/SoftVitals')
+
+describe('observeResources', () => {
+  let observerCallback
+
+  beforeEach(() => {
+    global.PerformanceObserver = jest.fn(function (cb) {
+      observerCallback = cb
+      this.observe = jest.fn()
+      this.disconnect = jest.fn()
+    })
+  })
+
+  afterEach(() => {
+    delete global.PerformanceObserver
+  })
+
+  const emitEntries = (entries) => observerCallback({ getEntries: () => entries })
+
+  it('按类型统计体积、缓存命中率，并截断最慢资源 url', () => {
+    const cb = jest.fn()
+    const tracker = observeResources(cb, { slowestLimit: 2, textLength: 20 })
+
+    emitEntries([
+      { name: 'https://cdn.com/app.js', initiatorType: 'script', duration: 100, transferSize: 1000, encodedBodySize: 900, decodedBodySize: 3000 },
+      { name: 'https://cdn.com/lib.js', initiatorType: 'script', duration: 50, transferSize: 0, encodedBodySize: 900, decodedBodySize: 3000 },
+      { name: 'https://cdn.com/main.css', initiatorType: 'link', duration: 30, transferSize: 300, encodedBodySize: 200, decodedBodySize: 800 },
+      { name: 'https://cdn.com/a.woff2', initiatorType: 'css', duration: 10, transferSize: 0, encodedBodySize: 0, decodedBodySize: 0 }
+    ])
+
+    const stats = cb.mock.calls[0][0]
+    expect(stats.byType.script).toMatchObject({
+      count: 2,
+      avgTime: 75,
+      maxTime: 100,
+      transferSize: 1000,
+      decodedBodySize: 6000,
+      cacheHitRate: 0.5
+    })
+    expect(stats.byType.css.count).toBe(1)
+    expect(stats.byType.font.cacheHitRate).toBe(0)
+    expect(stats.slowest).toEqual([
+      { url: 'https://cdn.com/app.', type: 'script', duration: 100, transferSize: 1000 },
+      { url: 'https://cdn.com/lib.', type: 'script', duration: 50, transferSize: 0 }
+    ])
+    tracker.stop()
+  })
+
+  it('元素 error 与 CSS 资源 4xx 应计入 failed，reset 后清空', () => {
+    const cb = jest.fn()
+    const tracker = observeResources(cb)
+
+    const img = document.createElement('img')
+    img.src = 'https://cdn.com/a.png'
+    document.body.appendChild(img)
+    img.dispatchEvent(new Event('error'))
+    img.dispatchEvent(new Event('error'))
+
+    emitEntries([
+      { name: 'https://cdn.com/app.js', initiatorType: 'script', duration: 20 },
+      { name: 'https://cdn.com/icon.woff2', initiatorType: 'css', duration: 5, responseStatus: 404 }
+    ])
+
+    const stats = cb.mock.calls[cb.mock.calls.length - 1][0]
+    expect(stats.count).toBe(2)
+    expect(stats.failed.count).toBe(3)
+    expect(stats.failed.byType).toEqual({ img: 2, font: 1 })
+    expect(stats.failed.urls[0]).toMatchObject({ url: 'https://cdn.com/a.png', type: 'img', count: 2 })
+
+    tracker.reset()
+    emitEntries([{ name: 'https://cdn.com/b.js', initiatorType: 'script', duration: 10 }])
+    const next = cb.mock.calls[cb.mock.calls.length - 1][0]
+    expect(next.count).toBe(1)
+    expect(next.failed).toBeNull()
+
+    tracker.stop()
+    img.remove()
+  })
+})
+
+describe('observeLongTasks', () => {
+  let observedType
+  let observerCallback
+
+  const mockObserver = (supportedEntryTypes) => {
+    global.PerformanceObserver = jest.fn(function (cb) {
+      observerCallback = cb
+      this.observe = jest.fn(({ type }) => {
+        observedType = type
+      })
+      this.disconnect = jest.fn()
+    })
+    global.PerformanceObserver.supportedEntryTypes = supportedEntryTypes
+  }
+
+  afterEach(() => {
+    delete global.PerformanceObserver
+  })
+
+  it('不支持 LoAF 时退回 longtask 统计', () => {
+    mockObserver(['longtask'])
+    const cb = jest.fn()
+    observeLongTasks(cb).stop()
+    expect(observedType).toBe('longtask')
+
+    observerCallback({ getEntries: () => [{ startTime: 10, duration: 60 }, { startTime: 200, duration: 100 }] })
+    expect(cb).toHaveBeenCalledWith(
+      { source: 'longtask', count: 2, avgTime: 80, maxTime: 100 },
+      [
+        { startTime: 10, duration: 60, blockingDuration: 10 },
+        { startTime: 200, duration: 100, blockingDuration: 50 }
+      ]
+    )
+  })
+
+  it('支持 LoAF 时记录阻塞时长与脚本归因', () => {
+    mockObserver(['longtask', 'long-animation-frame'])
+    const cb = jest.fn()
+    const tracker = observeLongTasks(cb)
+    expect(observedType).toBe('long-animation-frame')
+
+    observerCallback({
+      getEntries: () => [{
+        startTime: 100,
+        duration: 120,
+        blockingDuration: 70,
+        renderStart: 200,
+        styleAndLayoutStart: 210,
+        scripts: [
+          { sourceURL: 'https://cdn.com/a.js?v=1', sourceFunctionName: 'render', invoker: 'click', duration: 80 },
+          { sourceURL: 'https://cdn.com/b.js', sourceFunctionName: '', invoker: 'setTimeout', duration: 20 }
+        ]
+      }]
+    })
+
+    const stats = cb.mock.calls[0][0]
+    expect(stats).toMatchObject({ source: 'long-animation-frame', count: 1, totalBlockingDuration: 70 })
+    expect(stats.frames[0]).toMatchObject({ blockingDuration: 70, renderStart: 200, styleAndLayoutDuration: 10 })
+    expect(stats.topScripts[0]).toEqual({
+      sourceURL: 'https://cdn.com/a.js',
+      sourceFunctionName: 'render',
+      invoker: 'click',
+      duration: 80,
+      count: 1,
+      maxDuration: 80
+    })
+    tracker.stop()
+  })
+})
+
+describe('trackCLS', () => {
+  let observerCallback
+
+  beforeEach(() => {
+    global.PerformanceObserver = jest.fn(function (cb) {
+      observerCallback = cb
+      this.observe = jest.fn()
+      this.disconnect = jest.fn()
+    })
+  })
+
+  afterEach(() => {
+    delete global.PerformanceObserver
+  })
+
+  it('按会话窗口取最大值，忽略 hadRecentInput，并给出最大偏移的来源', () => {
+    const cb = jest.fn()
+    const tracker = trackCLS(cb)
+    const node = document.createElement('div')
+    node.className = 'banner'
+
+    observerCallback({
+      getEntries: () => [
+        // 窗口 1：0.1 + 0.05
+        { startTime: 100, value: 0.1, sources: [] },
+        { startTime: 600, value: 0.05, sources: [] },
+        { startTime: 700, value: 0.5, hadRecentInput: true },
+        // 间隔 > 1s，开启窗口 2：0.12 + 0.08
+        {
+          startTime: 3000,
+          value: 0.12,
+          sources: [{
+            node,
+            previousRect: { x: 0, y: 0, width: 100, height: 50 },
+            currentRect: { x: 0, y: 40, width: 100, height: 50 }
+          }]
+        },
+        { startTime: 3500, value: 0.08, sources: [] }
+      ]
+    })
+
+    const [value, attribution] = cb.mock.calls[0]
+    expect(value).toBe(0.2)
+    expect(attribution).toEqual({
+      largestShiftTarget: 'div.banner',
+      largestShiftTime: 3000,
+      largestShiftValue: 0.12,
+      sources: [{
+        node: 'div.banner',
+        previousRect: { x: 0, y: 0, width: 100, height: 50 },
+        currentRect: { x: 0, y: 40, width: 100, height: 50 }
+      }]
+    })
+    tracker.stop()
+  })
+})
+
+describe('trackFPS', () => {
+  let frames
+  let originalRAF
+
+  // 手动驱动 requestAnimationFrame：依次以给定时间戳执行一帧
+  const runFrames = (times) => {
+    times.forEach((t) => {
+      const cb = frames.shift()
+      cb && cb(t)
+    })
+  }
+  const setVisibility = (state) => {
+    Object.defineProperty(document, 'visibilityState', { value: state, configurable: true })
+    document.dispatchEvent(new Event('visibilitychange'))
+  }
+
+  beforeEach(() => {
+    frames = []
+    originalRAF = global.requestAnimationFrame
+    global.requestAnimationFrame = jest.fn((cb) => {
+      frames.push(cb)
+      return frames.length
+    })
+    jest.spyOn(performance, 'now').mockReturnValue(0)
+  })
+
+  afterEach(() => {
+    global.requestAnimationFrame = originalRAF
+    jest.restoreAllMocks()
+    setVisibility('visible')
+  })
+
+  it('汇总最小/平均/p5 帧率、卡死秒数与掉帧分布，reset 后重新累积', () => {
+    const cb = jest.fn()
+    const tracker = trackFPS(cb)
+
+    // 第 1 秒：60 帧，其中一帧间隔 50ms（丢 2 帧）
+    const times = []
+    for (let i = 1; i <= 60; i++) times.push(i * 1000 / 60 + (i >= 30 ? 33.3 : 0))
+    runFrames(times.filter(t => t < 1000))
+    runFrames([1000])
+    // 第 2 秒：主线程阻塞 2 秒，只有 1 帧
+    runFrames([3000])
+
+    const stats = cb.mock.calls[1][1]
+    expect(cb.mock.calls[0][0]).toBeGreaterThan(55)
+    expect(cb.mock.calls[1][0]).toBe(1)
+    expect(stats).toMatchObject({ samples: 2, min: 1, frozenSeconds: 2, p5: 1 })
+    expect(stats.droppedFrames['2-3']).toBe(1)
+    expect(stats.droppedFrames['8+']).toBe(1)
+
+    tracker.reset()
+    runFrames([4000])
+    expect(cb.mock.calls[2][1]).toMatchObject({ samples: 1, min: 1, frozenSeconds: 1 })
+    tracker.stop()
+  })
+
+  it('页面隐藏时暂停采样，可见后重新计时', () => {
+    const cb = jest.fn()
+    const tracker = trackFPS(cb)
+
+    setVisibility('hidden')
+    runFrames([500])
+    expect(cb).not.toHaveBeenCalled()
+    expect(frames).toHaveLength(0)
+
+    performance.now.mockReturnValue(10000)
+    setVisibility('visible')
+    runFrames([10500, 11000])
+    expect(cb).toHaveBeenCalledTimes(1)
+    expect(cb.mock.calls[0][0]).toBe(2)
+    tracker.stop()
+  })
+})
@@ -156,3 +156,105 @@ describe('destroy', () => {
     expect(c._observers).toEqual({})
   })
 })
+
+describe('componentStats', () => {
+  it('按组件聚合挂载/更新耗时，按总耗时倒序', () => {
+    const c = new PerfCollector(() => {}, {})
+    c.recordComponentTiming('List', 'mount', 30)
+    c.recordComponentTiming('List', 'update', 10)
+    c.recordComponentTiming('List', 'update', 20)
+    c.recordComponentTiming('Header', 'mount', 5)
+
+    const stats = c.buildSnapshot('home', '/home').componentStats
+    expect(stats.map(s => s.name)).toEqual(['List', 'Header'])
+    expect(stats[0]).toMatchObject({
+      totalTime: 60,
+      mountCount: 1,
+      mountTime: 30,
+      updateCount: 2,
+      updateTime: 30,
+      maxUpdateTime: 20
+    })
+
+    c.resetMetrics()
+    expect(c.buildSnapshot('home', '/home').componentStats).toBeNull()
+  })
+})
+
+describe('pageReady', () => {
+  it('记录首次 pageReady 的耗时，未调用时超时以 SPA_Render 兜底', () => {
+    const c = new PerfCollector(() => {}, { pageReadyTimeout: 1000 })
+    c.metrics.SPA_Render = 300
+    jest.advanceTimersByTime(1000)
+    expect(c.buildSnapshot('home', '/home')).toMatchObject({ SPA_Render: 300, SPA_Ready: 300, SPA_ReadySource: 'timeout' })
+
+    c.resetMetrics()
+    c._startPageReady()
+    expect(c.pageReady()).toEqual(expect.any(Number))
+    expect(c.pageReady()).toBeNull()
+    jest.advanceTimersByTime(1000)
+    expect(c.buildSnapshot('home', '/home').SPA_ReadySource).toBe('manual')
+  })
+})
+
+describe('bfcache 恢复', () => {
+  it('冻结前的数据已上报时，仍为恢复的访问重新记录进入路由的内存', () => {
+    const c = new PerfCollector(() => {}, {})
+    c._memoryAnalyzer = { enterRoute: jest.fn(), exitRoute: jest.fn(() => null) }
+    c.hasAnyMetric = false
+    c._handleBFCacheRestore({ restoreTime: 20, timestamp: 1 })
+    expect(c._memoryAnalyzer.enterRoute).toHaveBeenCalledTimes(1)
+    expect(c.buildSnapshot('home', '/home')).toMatchObject({ navigationType: 'bfcache', FCP: 20 })
+  })
+})
+
+describe('路由切换', () => {
+  it('新页面从导航开始计时，SPA_Ready 与 SPA_Render 同一起点', () => {
+    const c = new PerfCollector(() => {}, {})
+    c._handleRouteChange('home', '/home', 'detail', { startTime: performance.now() - 500 })
+    expect(c.currentPage).toBe('detail')
+    expect(c.pageReady()).toBeGreaterThanOrEqual(500)
+  })
+
+  it('页面隐藏时的上报只输出快照，不开始新的页面访问', () => {
+    const onPageComplete = jest.fn()
+    const c = new PerfCollector(onPageComplete, {})
+    c._startSoftNavigation = jest.fn()
+    c.metrics.SPA_Render = 120
+    c._handleRouteChange('home', '/home', 'home', { final: true })
+
+    expect(onPageComplete).toHaveBeenCalledWith(expect.objectContaining({ pageName: 'home', SPA_Render: 120 }))
+    expect(c.buildSnapshot('home', '/home')).toMatchObject({ SPA_Render: null, navigationType: 'hard' })
+    expect(c._isSoftNavigated).toBe(false)
+    expect(c._pageStartTime).toBe(0)
+    expect(c._startSoftNavigation).not.toHaveBeenCalled()
+  })
+})
+
+describe('内存泄漏分析', () => {
+  afterEach(() => {
+    Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true })
+  })
+
+  it('同一路由多次切到后台再切回，不计为多次访问', () => {
+    const MB = 1024 * 1024
+    performance.memory = { usedJSHeapSize: 50 * MB }
+    const onPageComplete = jest.fn()
+    const c = new PerfCollector(onPageComplete, {})
+    c.bindNativeListener()
+
+    for (let i = 1; i <= 5; i++) {
+      performance.memory.usedJSHeapSize = (50 + i * 10) * MB
+      Object.defineProperty(document, 'visibilityState', { value: 'hidden', configurable: true })
+      document.dispatchEvent(new Event('visibilitychange'))
+      Object.defineProperty(document, 'visibilityState', { value: 'visible', configurable: true })
+      document.dispatchEvent(new Event('visibilitychange'))
+    }
+    expect(onPageComplete).toHaveBeenCalledTimes(5)
+    onPageComplete.mock.calls.forEach(([snapshot]) => expect(snapshot.memoryStats).toBeNull())
+
+    c._handleRouteChange(c.currentPage, '/', '/detail')
+    expect(onPageComplete.mock.calls[5][0].memoryStats).toMatchObject({ visits: 1, leakSuspected: false })
+    c.destroy()
+  })
+})
@@ -0,0 +1,74 @@
+import { usePageReady } from '../src/sdk/usePageReady'
+import { setDefaultCollector } from '../src/sdk/PerfPlugin'
+
+// 只模拟 usePageReady 用到的 Vue API
+const watchers = []
+const unmountHooks = []
+jest.mock('vue', () => ({
+  nextTick: cb => Promise.resolve().then(cb),
+  watch: (source, cb, { immediate } = {}) => {
+    const watcher = { source, cb, stopped: false }
+    watchers.push(watcher)
+    if (immediate) cb(typeof source === 'function' ? source() : source.value)
+    return () => {
+      watcher.stopped = true
+    }
+  },
+  onBeforeUnmount: (hook) => {
+    unmountHooks.push(hook)
+  }
+}))
+
+// 模拟响应式值变化：依次通知所有未停止的 watcher
+const trigger = () => watchers.forEach((w) => {
+  if (!w.stopped) w.cb(typeof w.source === 'function' ? w.source() : w.source.value)
+})
+
+describe('usePageReady', () => {
+  let perf
+
+  beforeEach(() => {
+    jest.useFakeTimers()
+    watchers.length = 0
+    unmountHooks.length = 0
+    perf = { pageReady: jest.fn() }
+    setDefaultCollector(perf)
+  })
+
+  afterEach(() => {
+    setDefaultCollector(null)
+    jest.useRealTimers()
+  })
+
+  it('不传条件时返回手动 ready，只生效一次', () => {
+    const ready = usePageReady()
+    ready()
+    ready()
+    expect(perf.pageReady).toHaveBeenCalledTimes(1)
+  })
+
+  it('条件变为 true 后在 DOM 更新与下一帧之后记录', async () => {
+    let loading = true
+    usePageReady(() => !loading)
+    expect(perf.pageReady).not.toHaveBeenCalled()
+
+    loading = false
+    trigger()
+    trigger()
+    await Promise.resolve()
+    jest.advanceTimersByTime(16)
+    expect(perf.pageReady).toHaveBeenCalledTimes(1)
+  })
+
+  it('就绪前卸载时不再记录', async () => {
+    let loading = true
+    usePageReady(() => !loading)
+    unmountHooks.forEach(hook => hook())
+
+    loading = false
+    trigger()
+    await Promise.resolve()
+    jest.advanceTimersByTime(16)
+    expect(perf.pageReady).not.toHaveBeenCalled()
+  })
+})
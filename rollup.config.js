@@ -7,6 +7,11 @@ import { visualizer } from 'rollup-plugin-visualizer';
 
 const extensions = ['.js']
 const external = ['vue', 'vue-router']
+// 根入口与 Vue 专用入口一起构建，共享模块（如 PerfPlugin 的默认实例）拆为公共 chunk，两个入口拿到的是同一份
+const input = {
+  index: 'src/index.js',
+  vue: 'src/vue.js'
+}
 const isProd = process.env.NODE_ENV === 'production'
 
 const babelOptions = {
@@ -27,10 +32,12 @@ const babelOptions = {
 export default [
   // 1. 现代 ESM 构建（无 Babel 转换，供 Vite / webpack5）
   {
-    input: 'src/index.js',
+    input,
     external,
     output: {
-      file: 'dist/index.mjs',
+      dir: 'dist',
+      entryFileNames: '[name].mjs',
+      chunkFileNames: '[name]-[hash].mjs',
       format: 'es',
       sourcemap: !isProd,
     },
@@ -56,10 +63,12 @@ export default [
 
   // 2. ESM 降级构建（经 Babel 转换，兼容旧 bundler）
   {
-    input: 'src/index.js',
+    input,
     external,
     output: {
-      file: 'dist/index.esm.js',
+      dir: 'dist',
+      entryFileNames: '[name].esm.js',
+      chunkFileNames: '[name]-[hash].esm.js',
       format: 'es',
       sourcemap: !isProd,
     },
@@ -74,10 +83,12 @@ export default [
 
   // 3. CommonJS 构建（供 require() 使用）
   {
-    input: 'src/index.js',
+    input,
     external,
     output: {
-      file: 'dist/index.cjs.js',
+      dir: 'dist',
+      entryFileNames: '[name].cjs.js',
+      chunkFileNames: '[name]-[hash].cjs.js',
       format: 'cjs',
       sourcemap: !isProd,
       exports: 'named',
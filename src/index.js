@@ -1,5 +1,15 @@
 import { initPerfSDK } from './sdk/InitPerfSDK'
+import {
+  createVueRouterAdapter,
+  createVueRouter3Adapter,
+  createReactRouterAdapter
+} from './utils/RouterAdapters'
+import { createNativeRouterAdapter } from './utils/RouterListenerAdapter'
 
 export {
   initPerfSDK,
+  createVueRouterAdapter,
+  createVueRouter3Adapter,
+  createReactRouterAdapter,
+  createNativeRouterAdapter,
 }
@@ -0,0 +1,206 @@
+// src/sdk/FlowTracker.js
+import { logger } from '../utils/logger'
+import { numberFixed } from '../utils'
+
+const DEFAULT_FLOW_TIMEOUT = 5 * 60 * 1000 // 流程默认超时时间（毫秒）
+const MAX_FLOW_STEPS = 20 // 单个流程最多记录的步骤数
+
+/**
+ * 从页面快照中提取流程步骤需要的耗时
+ * @param {object} snapshot — PerfCollector.buildSnapshot 产出的快照
+ * @param {number} duration — 在该页面停留的时间
+ * @returns {{ page: string, duration: number, renderTime: number, apiTime: number, apiErrorCount: number, longTaskTime: number, errorCount: number }}
+ */
+function toStep(snapshot, duration) {
+  const { apiStats, longTaskStats, errors } = snapshot
+  return {
+    page: snapshot.pageName,
+    duration: numberFixed(duration),
+    renderTime: snapshot.SPA_Render || 0,
+    apiTime: apiStats ? apiStats.totalTime : 0,
+    apiErrorCount: apiStats ? apiStats.errorCount : 0,
+    longTaskTime: longTaskStats && longTaskStats.count
+      ? numberFixed(longTaskStats.count * longTaskStats.avgTime)
+      : 0,
+    errorCount: errors ? errors.total : 0
+  }
+}
+
+/**
+ * 跨路由的用户流程（如 购物车 → 地址 → 支付 → 完成）耗时统计
+ *
+ * start 开启一个流程后，每次路由切换都会把离开页面的耗时记为一个步骤，
+ * end 时把当前页面也计入并输出一条 type 为 flow 的记录：
+ *  - status：completed（正常结束）/ abandoned（放弃）/ timeout（超时）
+ *  - reason：放弃原因，left_flow（进入了 steps 之外的路由）/ unload（页面关闭，进入 bfcache 不算）/ restarted（同名流程重新开始）/ 自定义
+ *  - duration：流程总耗时；renderTime / apiTime / longTaskTime / errorCount：各步骤累加
+ *  - steps：每个页面的停留时间、渲染耗时、接口耗时、长任务耗时与错误数
+ *
+ * 起止页面按整页统计，可能包含流程开始前、结束后的少量耗时
+ */
+export class FlowTracker {
+  /**
+   * @param {import('./PerfCollector').PerfCollector} perf
+   * @param {(record: object) => void} onFlowComplete — 流程结束（含放弃、超时）时的回调
+   * @param {object} [options]
+   * @param {number} [options.timeout=DEFAULT_FLOW_TIMEOUT] — 流程默认超时时间
+   */
+  constructor(perf, onFlowComplete, { timeout = DEFAULT_FLOW_TIMEOUT } = {}) {
+    if (typeof onFlowComplete !== 'function') {
+      throw new TypeError('onFlowComplete 必须是函数')
+    }
+    this.perf = perf
+    this.onFlowComplete = onFlowComplete
+    this.timeout = timeout
+    // name → 进行中的流程
+    this._flows = new Map()
+
+    this._unsubscribe = perf.onRouteChange((snapshot, nextKey, { final } = {}) => {
+      // 页面隐藏等只上报当前页面，用户仍在同一步骤上
+      if (final) return
+      this._handleRouteChange(snapshot, nextKey)
+    })
+    // 页面关闭时，进行中的流程记为放弃；进入 bfcache（persisted）的页面可能被恢复，流程保持进行
+    this._onPageHide = (event) => {
+      if (event && event.persisted) return
+      Array.from(this._flows.values()).forEach(flow => this._finish(flow, 'abandoned', 'unload'))
+    }
+    window.addEventListener('pagehide', this._onPageHide)
+  }
+
+  /**
+   * 开始一个流程；同名流程正在进行时，旧流程记为放弃（restarted）
+   * @param {string} name
+   * @param {object} [options]
+   * @param {string[]} [options.steps] — 流程包含的路由 key，进入其它路由时记为放弃；不传则不限制
+   * @param {number} [options.timeout] — 超时时间，默认使用构造参数
+   * @param {object} [options.data] — 附带到流程记录上的业务数据
+   * @returns {{ end: (data?: object) => void, abandon: (reason?: string) => void }}
+   */
+  start(name, { steps = null, timeout = this.timeout, data = null } = {}) {
+    const existing = this._flows.get(name)
+    if (existing) this._finish(existing, 'abandoned', 'restarted')
+
+    const now = performance.now()
+    const flow = {
+      name,
+      steps,
+      data,
+      startTime: now,
+      stepStartTime: now,
+      startPage: this.perf.currentPage,
+      records: [],
+      timeoutId: null
+    }
+    flow.timeoutId = setTimeout(() => this._finish(flow, 'timeout', null), timeout)
+    this._flows.set(name, flow)
+
+    return {
+      end: extra => this._finishIfActive(flow, 'completed', null, extra),
+      abandon: reason => this._finishIfActive(flow, 'abandoned', reason || 'manual')
+    }
+  }
+
+  /**
+   * 正常结束流程
+   * @param {string} name
+   * @param {object} [data] — 合并到流程记录的业务数据
+   */
+  end(name, data) {
+    const flow = this._flows.get(name)
+    if (!flow) {
+      logger.warn(`[FlowTracker] 流程 ${name} 未开始或已结束`)
+      return
+    }
+    this._finish(flow, 'completed', null, data)
+  }
+
+  /**
+   * 主动放弃流程
+   * @param {string} name
+   * @param {string} [reason='manual']
+   */
+  abandon(name, reason = 'manual') {
+    const flow = this._flows.get(name)
+    if (flow) this._finish(flow, 'abandoned', reason)
+  }
+
+  /**
+   * 路由切换：为每个进行中的流程记录离开页面的步骤，进入 steps 之外的路由时放弃流程
+   */
+  _handleRouteChange(snapshot, nextKey) {
+    const now = performance.now()
+    Array.from(this._flows.values()).forEach((flow) => {
+      if (flow.records.length < MAX_FLOW_STEPS) {
+        flow.records.push(toStep(snapshot, now - flow.stepStartTime))
+      }
+      flow.stepStartTime = now
+      if (flow.steps && !flow.steps.includes(nextKey)) {
+        // 离开流程：当前页面不属于流程，不再计入
+        this._finish(flow, 'abandoned', 'left_flow', null, false)
+      }
+    })
+  }
+
+  _finishIfActive(flow, status, reason, extra) {
+    if (this._flows.get(flow.name) === flow) {
+      this._finish(flow, status, reason, extra)
+    }
+  }
+
+  /**
+   * 结束流程并输出记录
+   * @param {object} flow
+   * @param {'completed'|'abandoned'|'timeout'} status
+   * @param {string|null} reason
+   * @param {object} [extra] — 结束时附带的业务数据
+   * @param {boolean} [includeCurrent=true] — 是否把当前页面计为最后一个步骤
+   */
+  _finish(flow, status, reason, extra, includeCurrent = true) {
+    clearTimeout(flow.timeoutId)
+    this._flows.delete(flow.name)
+
+    try {
+      const now = performance.now()
+      const steps = [...flow.records]
+      if (includeCurrent && steps.length < MAX_FLOW_STEPS) {
+        const { pathname, search, hash } = window.location
+        const current = this.perf.buildSnapshot(this.perf.currentPage, pathname + search + hash)
+        steps.push(toStep(current, now - flow.stepStartTime))
+      }
+      const sum = key => numberFixed(steps.reduce((total, step) => total + step[key], 0))
+
+      this.onFlowComplete({
+        type: 'flow',
+        pageName: `flow:${flow.name}`,
+        flowName: flow.name,
+        status,
+        reason,
+        timestamp: Date.now(),
+        startPage: flow.startPage,
+        endPage: steps.length ? steps[steps.length - 1].page : flow.startPage,
+        duration: numberFixed(now - flow.startTime),
+        stepCount: steps.length,
+        renderTime: sum('renderTime'),
+        apiTime: sum('apiTime'),
+        apiErrorCount: sum('apiErrorCount'),
+        longTaskTime: sum('longTaskTime'),
+        errorCount: sum('errorCount'),
+        steps,
+        data: flow.data || extra ? { ...flow.data, ...extra } : null
+      })
+    } catch (e) {
+      logger.error(`[FlowTracker] 流程 ${flow.name} 记录失败：`, e)
+    }
+  }
+
+  /**
+   * 销毁：停止监听，进行中的流程直接丢弃
+   */
+  destroy() {
+    this._flows.forEach(flow => clearTimeout(flow.timeoutId))
+    this._flows.clear()
+    this._unsubscribe && this._unsubscribe()
+    window.removeEventListener('pagehide', this._onPageHide)
+  }
+}
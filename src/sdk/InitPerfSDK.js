@@ -3,17 +3,29 @@ import { PerfCollector } from './PerfCollector'
 import { DataCache } from './DataCache'
 import { Reporter } from './Reporter'
 import { AIAnalyzer } from './AIAnalyzer'
+import { FlowTracker } from './FlowTracker'
+import { setDefaultCollector } from './PerfPlugin'
 import { NetworkMonitor } from '../utils/NetworkMonitor'
+import { createScrubber } from '../utils/Scrubber'
 import { buildSystemPrompt, collectEnvironmentInfo } from '../utils'
 import { configureLogger, logger } from '../utils/logger'
 
 /**
  * 对外暴露的初始化方法
  * @param {object} options
- * @param {import('vue-router').Router} options.router
+ * @param {import('vue-router').Router} options.router — Vue Router 4 / 3 实例
+ * @param {import('../utils/RouteTracker').RouterAdapter} [options.routerAdapter] — 路由适配器（如 createReactRouterAdapter(router)），优先于 router
+ * @param {import('vue').App} [options.app] — 传入后会接管 app.config.errorHandler 采集组件错误
  * @param {string} options.reportUrl
  * @param {string} [options.aiUrl]
  * @param {number} [options.maxFpsSamples]
+ * @param {boolean} [options.keepFpsSamples=false] — 快照中保留逐秒的 fpsSamples 原始数组
+ * @param {boolean} [options.softNavigation=false] — 软导航模式：路由切换后按路由重新计算 LCP/FCP/CLS/INP
+ * @param {boolean|{ ignoreUrls?: Array<string|RegExp>, slowestLimit?: number }} [options.apiMonitor=false] — 接口监控（fetch / XHR）
+ * @param {number} [options.pageReadyTimeout=10000] — 页面未调用 pageReady() 时，超时后以 SPA_Render 作为 SPA_Ready
+ * @param {boolean|((path: string) => string)} [options.routePattern=true] — 未传 router 时页面 key 的归一化方式：默认把数字 / UUID / 哈希路径段替换为占位符
+ * @param {boolean|object} [options.scrub=true] — 入队前的脱敏规则（见 createScrubber），false 关闭
+ * @param {number} [options.flowTimeout] — 跨路由流程的默认超时时间（毫秒）
  * @param {number} [options.batchSize]
  * @param {number} [options.interval]
  */
@@ -21,12 +33,21 @@ import { configureLogger, logger } from '../utils/logger'
 export function initPerfSDK(options) {
   const {
     router,
+    routerAdapter, // 路由适配器
+    app,
     report = {},
     aiOptions = {},
     allowCollectEnv = false,
     scoringRules,
     useWebVitals = false,
     maxFpsSamples,
+    keepFpsSamples = false, // 保留 FPS 原始采样
+    softNavigation = false, // 软导航模式
+    apiMonitor = false, // 接口监控
+    flowTimeout, // 跨路由流程超时时间
+    pageReadyTimeout, // 页面就绪超时时间
+    routePattern, // 原生路由页面 key 归一化
+    scrub = true, // 脱敏规则
     samplingRate, // 采样率
     logLevel, // 日志级别
   } = options
@@ -54,6 +75,24 @@ export function initPerfSDK(options) {
   // 1. 初始化 DataCache（缓存 & 批量上报）
   const dataCache = new DataCache()
 
+  // 页面快照与流程记录在入队前统一脱敏：之后的上报与 AI 分析拿到的都是脱敏后的数据
+  const scrubber = scrub ? createScrubber(scrub === true ? {} : scrub) : null
+  const enqueue = (record) => {
+    if (!scrubber) {
+      dataCache.enqueue(record)
+      return
+    }
+    let scrubbed
+    try {
+      scrubbed = scrubber(record)
+    } catch (e) {
+      // 脱敏失败时丢弃该条记录，避免上报未脱敏的数据
+      logger.error('[initPerfSDK] 快照脱敏失败，已丢弃：', e)
+      return
+    }
+    dataCache.enqueue(scrubbed)
+  }
+
   //  Reporter：负责 HTTP 批量上报
   const reporter = report.url ? new Reporter({
     ...report,
@@ -84,6 +123,16 @@ export function initPerfSDK(options) {
   // 将 DataCache.enqueue 的每个 snapshot 交给 AIAnalyzer 处理
   aiAnalyzer && aiAnalyzer.subscribe(dataCache)
 
+  // SDK 自身的上报与 AI 请求不计入接口监控
+  const apiMonitorOptions = apiMonitor && {
+    ...(apiMonitor === true ? {} : apiMonitor),
+    ignoreUrls: [
+      ...(apiMonitor.ignoreUrls || []),
+      report.url,
+      aiOptions.url
+    ].filter(Boolean)
+  }
+
   // 4. 初始化 PerfCollector（监控控制器）
   // 由 PerfCollector 在每次“软导航结束”时调用，把 snapshot 丢给 DataCache
   const perf = new PerfCollector(
@@ -95,23 +144,42 @@ export function initPerfSDK(options) {
         rtt: null
       }
       // 每次“页面结束”或“软导航结束”时，把 data 推给缓存
-      dataCache.enqueue(snapshot)
+      enqueue(snapshot)
     },
     {
       maxFpsSamples,
+      keepFpsSamples,
       useWebVitals,
       samplingRate,
+      softNavigation,
+      apiMonitor: apiMonitorOptions,
+      pageReadyTimeout,
+      routePattern,
     }
   )
 
   // 路由监听
-  if (router && router.afterEach) {
-    // 优先使用 Vue Router
+  if (routerAdapter) {
+    // 显式传入的适配器（React Router、自定义路由等）
+    perf.bindAdapter(routerAdapter)
+  } else if (router && router.afterEach) {
+    // 其次使用 Vue Router
     perf.bindRouter(router)
   } else {
     // 原生 History/Hash 方案
     perf.bindNativeListener()
   }
+
+  // app.use(PerfPlugin) 未传 perf 时使用当前实例
+  setDefaultCollector(perf)
+
+  // Vue 组件错误
+  if (app) {
+    perf.bindVueApp(app)
+  }
+
+  // 5. 跨路由流程：流程记录（type: 'flow'）同样交给 DataCache
+  const flows = new FlowTracker(perf, enqueue, { timeout: flowTimeout })
   logger.info('SPA 性能监控 SDK 已启动')
 
   return {
@@ -124,9 +192,22 @@ export function initPerfSDK(options) {
       aiAnalyzer && aiAnalyzer.destroy()
       // 销毁 Reporter
       reporter && reporter.destroy()
+      // 销毁 FlowTracker
+      flows.destroy()
       // 销毁 PerfCollector
+      setDefaultCollector(null)
       perf.destroy()
     },
+    // 页面就绪：有意义的内容可见时调用，记为 SPA_Ready
+    pageReady: () => perf.pageReady(),
+    // 业务自定义耗时，结果记入当前页面快照的 customTimings
+    mark: name => perf.mark(name),
+    measure: (name, start, end) => perf.measure(name, start, end),
+    startSpan: name => perf.startSpan(name),
+    // 跨路由流程，结束（含放弃、超时）时输出 type 为 flow 的记录
+    startFlow: (name, flowOptions) => flows.start(name, flowOptions),
+    endFlow: (name, data) => flows.end(name, data),
+    abandonFlow: (name, reason) => flows.abandon(name, reason),
     perfInstance: perf
   }
 }
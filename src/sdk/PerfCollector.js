@@ -9,19 +9,45 @@ import {
 } from '../utils/SoftVitals'
 import { installSPARouteTracker } from '../utils/SPARouteTracker'
 import { logger } from '../utils/logger'
-import { initRouterListener } from '../utils/RouterListenerAdapter'
+import { createNativeRouterAdapter } from '../utils/RouterListenerAdapter'
+import { installRouteTracker } from '../utils/RouteTracker'
+import { trackErrors } from '../utils/ErrorCollector'
+import { trackSoftNavigation } from '../utils/SoftNavigation'
+import { observeNavigationTiming } from '../utils/NavigationTiming'
+import { observeServerTiming } from '../utils/ServerTiming'
+import { monitorApiRequests, summarizeApiCalls } from '../utils/ApiMonitor'
+import { createMark, createMeasure } from '../utils/CustomTiming'
+import { createMemoryAnalyzer } from '../utils/MemoryAnalyzer'
+import { observeBFCacheRestore, getNotRestoredReasons } from '../utils/BFCache'
+import { computeInteractivity } from '../utils/Interactivity'
+import { observeElementTiming } from '../utils/ElementTiming'
+import { numberFixed, normalizePath } from '../utils'
 
 const TEXT_LENGTH = 100 // 资源name截取长度
+const MAX_ERROR_GROUPS = 10 // 每个页面快照最多保留的错误分组数
+const MAX_API_CALLS = 200 // 每个页面最多保留的接口调用记录数
+const MAX_COMPONENT_STATS = 10 // 每个页面快照最多保留的组件数
+const MAX_NAVIGATION_FAILURES = 20 // 每个页面最多保留的导航失败记录数
 
 export class PerfCollector {
   /**
    * @param {(snapshot: object) => void} onPageComplete
    * @param {object} options
    * @param {number} [options.maxFpsSamples=60]
+   * @param {boolean} [options.keepFpsSamples=false] — 快照中是否保留逐秒的 fpsSamples 原始数组（默认只上报 fpsStats 汇总）
+   * @param {boolean} [options.softNavigation=false] — 软导航模式：路由切换后按路由重新计算 LCP/FCP/CLS/INP
+   * @param {boolean|{ ignoreUrls?: Array<string|RegExp>, slowestLimit?: number }} [options.apiMonitor=false] — 接口监控（包装 fetch / XHR）
+   * @param {number} [options.pageReadyTimeout=10000] — 页面未调用 pageReady() 时，超过该时长以路由渲染耗时作为 SPA_Ready
+   * @param {boolean|((path: string) => string)} [options.routePattern=true] — 原生路由监听时页面 key 的归一化方式（见 normalizePath）
    */
   constructor (onPageComplete, {
     maxFpsSamples = 60,
+    keepFpsSamples = false,
     samplingRate = 1,
+    softNavigation = false,
+    apiMonitor = false,
+    pageReadyTimeout = 10000,
+    routePattern = true,
   } = {}) {
     // 参数校验
     if (typeof onPageComplete !== 'function') {
@@ -30,9 +56,21 @@ export class PerfCollector {
 
     this.onPageComplete = onPageComplete
     this.maxFpsSamples = maxFpsSamples
+    this.keepFpsSamples = !!keepFpsSamples
     this.currentPage = window.location.pathname
     // 添加采样率配置
     this.samplingRate = samplingRate < 0 || samplingRate > 1 ? 1 : samplingRate
+    this.softNavigation = !!softNavigation
+    this.apiMonitor = apiMonitor
+    this.routePattern = routePattern
+    this.pageReadyTimeout = pageReadyTimeout
+    this._readyTimer = null
+    // 是否已发生过路由切换（之后的页面均为软导航）
+    this._isSoftNavigated = false
+    // 当前页面的导航类型：hard（首个页面）/ soft（路由切换）/ bfcache（往返缓存恢复）
+    this._navigationType = 'hard'
+    // 当前页面的开始时间（performance.now() 口径），硬导航为 0
+    this._pageStartTime = 0
 
     // 用于存储各个 stop 回调，方便 destroy 时调用
     this._observers = {
@@ -41,17 +79,40 @@ export class PerfCollector {
       fps: null,
       memory: null,
       cls: null,
+      error: null,
+      vueError: null,
+      softNav: null,
+      navigationTiming: null,
+      serverTiming: null,
+      heroTiming: null,
+      bfcache: null,
+      pageReady: null,
+      api: null,
       webVitals: null,
       spaRoute: null
     }
 
-    this._unlistenNative = null
+    this._routeListeners = []
+    // 跨路由内存泄漏分析：记录每次进入/离开路由时的堆内存
+    this._memoryAnalyzer = createMemoryAnalyzer()
+    this._memoryAnalyzer.enterRoute()
 
     this.resetMetrics()
     // —— 1. 硬导航指标 ——
     this._initHardVitals()
     // 2. 软导航指标
     this._initSoftVitals()
+    // 3. 软导航模式：按路由计算 Web Vitals
+    this._initSoftNavigation()
+    // 4. 接口监控
+    this._initApiMonitor()
+    // 5. 往返缓存（bfcache）
+    this._initBFCache()
+    // 6. 页面就绪信号
+    this._observers.pageReady = {
+      stop: () => clearTimeout(this._readyTimer)
+    }
+    this._startPageReady()
   }
 
 
@@ -60,9 +121,92 @@ export class PerfCollector {
    */
   _initHardVitals() {
     this._observers.hardVitals = collectHardVitals(metric => {
-      this.hasAnyMetric = true
-      this.metrics[metric.name] = metric.value
+      // 软导航模式：硬导航指标只属于首个页面，INP 统一按路由计算
+      if (this.softNavigation && (this._isSoftNavigated || metric.name === 'INP')) return
+      this._recordVital(metric)
     }, { reportAllChanges: true })
+
+    // 硬导航瀑布图：只属于首个页面
+    this._observers.navigationTiming = observeNavigationTiming((timing) => {
+      if (this._isSoftNavigated) return
+      this.hasAnyMetric = true
+      this.metrics.navigationTiming = timing
+    })
+  }
+
+  /**
+   * 初始化软导航模式的 Web Vitals 采集（仅 softNavigation 开启时）
+   */
+  _initSoftNavigation() {
+    if (!this.softNavigation) return
+    this._observers.softNav = trackSoftNavigation(metric => {
+      this._recordVital(metric)
+    })
+  }
+
+  /**
+   * 初始化往返缓存相关采集：
+   *  - 前进/后退却未能从 bfcache 恢复时，记录 notRestoredReasons（仅首个页面）
+   *  - 从 bfcache 恢复时，先上报冻结前累积的数据，再以 bfcache 类型开始新的页面统计
+   */
+  _initBFCache() {
+    try {
+      const navEntry = performance.getEntriesByType && performance.getEntriesByType('navigation')[0]
+      this.metrics.notRestoredReasons = getNotRestoredReasons(navEntry)
+    } catch (e) {
+      logger.warn('[PerfCollector] 读取 notRestoredReasons 失败：', e)
+    }
+
+    this._observers.bfcache = observeBFCacheRestore((restore) => {
+      this._handleBFCacheRestore(restore)
+    })
+  }
+
+  /**
+   * 页面从 bfcache 恢复：恢复的页面重新计为一次访问，恢复耗时同时记为 FCP
+   * @param {{ restoreTime: number, timestamp: number }} restore
+   */
+  _handleBFCacheRestore({ restoreTime, timestamp }) {
+    const { pathname, search, hash } = window.location
+    if (this.hasAnyMetric) {
+      this._handleRouteChange(this.currentPage, pathname + search + hash, this.currentPage, { final: true })
+    } else {
+      // 冻结前的数据已上报（如页面隐藏时），直接开始新的统计
+      this.resetMetrics()
+    }
+    this._startVisit('bfcache', performance.now())
+    this._recordVital({ name: 'FCP', value: restoreTime })
+    this.metrics.bfcacheRestore = { restoreTime, timestamp }
+  }
+
+  /**
+   * 初始化接口监控（仅 apiMonitor 开启时）
+   * 每个调用归属于发起时的 currentPage，路由切换后才返回的调用不计入新页面
+   */
+  _initApiMonitor() {
+    if (!this.apiMonitor) return
+    const { ignoreUrls = [] } = this.apiMonitor === true ? {} : this.apiMonitor
+    this._observers.api = monitorApiRequests((call) => {
+      if (call.page !== this.currentPage) return
+      if (this.metrics.apiCalls.length >= MAX_API_CALLS) return
+      this.hasAnyMetric = true
+      this.metrics.apiCalls.push(call)
+    }, {
+      ignoreUrls,
+      getPage: () => this.currentPage
+    })
+  }
+
+  /**
+   * 写入一个 Web Vitals 指标及其归因（如 INPAttribution）
+   * @param {{ name: string, value: number, attribution?: object }} metric
+   */
+  _recordVital(metric) {
+    this.hasAnyMetric = true
+    this.metrics[metric.name] = metric.value
+    if (metric.attribution) {
+      this.metrics[`${metric.name}Attribution`] = metric.attribution
+    }
   }
 
   /**
@@ -75,24 +219,28 @@ export class PerfCollector {
       this.metrics.resourceStats = {
         ...stats
       }
-    })
+    }, { textLength: TEXT_LENGTH })
 
     // —— 3. 软导航阶段采集：长任务 (暂不开放)——
-    this._observers.longTask = observeLongTasks((stats) => {
+    this._observers.longTask = observeLongTasks((stats, tasks) => {
       this.hasAnyMetric = true
       this.metrics.longTaskStats = {
         ...stats
       }
-    })
+      // 长任务条目仅用于计算 TBT / TTI，不直接上报
+      this.metrics.longTasks = tasks || []
+    }, { textLength: TEXT_LENGTH })
 
     // —— 4. 软导航阶段采集：FPS ——
-    this._observers.fps = trackFPS((fpsVal) => {
+    this._observers.fps = trackFPS((fpsVal, stats) => {
       this.hasAnyMetric = true
+      this.metrics.fpsStats = stats
+      if (!this.keepFpsSamples) return
       this.metrics.fpsSamples.push(fpsVal)
       if (this.metrics.fpsSamples.length > this.maxFpsSamples) {
         this.metrics.fpsSamples.shift()
       }
-    }, this.maxFpsSamples)
+    })
 
     // —— 5. 软导航阶段采集：Memory ——
     this._observers.memory = trackMemory((usedJsHeap) => {
@@ -101,80 +249,474 @@ export class PerfCollector {
     })
 
     // —— 6. 软导航阶段采集：CLS ——
-    this._observers.cls = trackCLS((clsValue) => {
+    this._observers.cls = trackCLS((clsValue, attribution) => {
       this.hasAnyMetric = true
-      this.metrics.CLS = clsValue // 这里覆盖原 CLS 值，或者累加都行
+      // trackCLS 是唯一的 CLS 来源（会话窗口最大值），直接覆盖
+      this.metrics.CLS = clsValue
+      this.metrics.CLSAttribution = attribution
+    })
+
+    // —— 7. 软导航阶段采集：Server-Timing（文档 + 接口）——
+    this._observers.serverTiming = observeServerTiming((stats) => {
+      this.hasAnyMetric = true
+      this.metrics.serverTiming = stats
+    })
+
+    // —— 8. 软导航阶段采集：关键元素（elementtiming）渲染时间 ——
+    this._observers.heroTiming = observeElementTiming((timing) => {
+      this._recordHeroTiming(timing)
+    })
+
+    // —— 9. 软导航阶段采集：JS 错误 & 未处理的 Promise 拒绝 ——
+    this._observers.error = trackErrors((record) => {
+      this.hasAnyMetric = true
+      this._recordError(record)
     })
   }
 
   /**
-   * 绑定vue router 实例
+   * 记录关键元素的渲染时间（相对当前页面开始），同名元素只保留本页面首次渲染
+   * 页面开始前渲染的元素属于上一个页面，忽略
+   * @param {object} timing — observeElementTiming 产出的记录
+   */
+  _recordHeroTiming({ identifier, renderTime, loadTime, ...rest }) {
+    if (renderTime < this._pageStartTime) return
+    if (this.metrics.heroTimings[identifier]) return
+    this.hasAnyMetric = true
+    this.metrics.heroTimings[identifier] = {
+      renderTime: numberFixed(renderTime - this._pageStartTime),
+      loadTime: loadTime == null ? null : numberFixed(Math.max(0, loadTime - this._pageStartTime)),
+      ...rest
+    }
+  }
+
+  /**
+   * 按指纹聚合当前页面的错误
+   * @param {object} record — trackErrors 产出的错误记录
+   */
+  _recordError(record) {
+    const group = this.metrics.errors[record.fingerprint]
+    if (group) {
+      group.count++
+      group.lastTime = record.timestamp
+      return
+    }
+    const { timestamp, ...rest } = record
+    this.metrics.errors[record.fingerprint] = {
+      ...rest,
+      count: 1,
+      firstTime: timestamp,
+      lastTime: timestamp
+    }
+  }
+
+  /**
+   * 接入 Vue 应用的 errorHandler，组件内抛出的错误同样计入 errors
+   * 会保留应用原有的 errorHandler，destroy 时还原
+   * @param {import('vue').App} app — Vue 3 应用实例
+   */
+  bindVueApp(app) {
+    if (!app || !app.config) return
+    const prevHandler = app.config.errorHandler
+    app.config.errorHandler = (err, instance, info) => {
+      const errorObserver = this._observers.error
+      if (errorObserver && typeof errorObserver.captureError === 'function') {
+        errorObserver.captureError(err, {
+          type: 'vue',
+          info,
+          component: instance?.$options?.name || instance?.$options?.__name || null
+        })
+      }
+      if (typeof prevHandler === 'function') {
+        prevHandler(err, instance, info)
+      } else {
+        // 保持 Vue 未配置 errorHandler 时的默认行为：输出到控制台
+        console.error(err)
+      }
+    }
+    this._observers.vueError = {
+      stop: () => {
+        app.config.errorHandler = prevHandler
+      }
+    }
+  }
+
+  /**
+   * 绑定vue router 实例（Vue Router 4 / 3）
    * 在路由切换时由外部调用：先将旧页面 snapshot 推给 onPageComplete，再重置 metrics
    * @param {Router} router — Vue Router 实例
    */
   bindRouter(router) {
-    this._observers.spaRoute = installSPARouteTracker(router, (pageKey, fullPath) => {
-      // 应用采样率
-      if (this._isExceedSamplingRate()) {
-        this.resetMetrics()
-        return
-      }
-      this.hasAnyMetric = true
-      // 最后结束当前页面的所有指标采集，打包成 snapshot
-      const snapshot = this.buildSnapshot(pageKey, fullPath)
-      this.onPageComplete(snapshot)
-      // 重置 metrics，并更新当前 page
-      this.currentPage = pageKey
-      this.resetMetrics()
-    }, (renderTime) => {
-      // 渲染耗时逻辑
-      this.metrics.SPA_Render = renderTime
-      this.hasAnyMetric = true
-    })
+    const { onRouteChange, onRenderComplete, ...hooks } = this._routeTrackerHooks()
+    this._observers.spaRoute = installSPARouteTracker(router, onRouteChange, onRenderComplete, hooks)
+  }
+
+  /**
+   * 绑定路由适配器（createVueRouterAdapter / createVueRouter3Adapter / createReactRouterAdapter / createNativeRouterAdapter 或自定义实现）
+   * @param {import('../utils/RouteTracker').RouterAdapter} adapter
+   */
+  bindAdapter(adapter) {
+    this._observers.spaRoute = installRouteTracker(adapter, this._routeTrackerHooks())
   }
 
   // 绑定原生路由监听
   bindNativeListener() {
-    this._unlistenNative = initRouterListener((newUrl) => {
-      // 应用采样率
-      if (this._isExceedSamplingRate()) {
-        this.resetMetrics()
-        return
+    this.currentPage = normalizePath(window.location.href, this.routePattern)
+    this.bindAdapter(createNativeRouterAdapter({ routePattern: this.routePattern }))
+  }
+
+  /**
+   * 路由追踪回调：切换页面、渲染耗时、切换阶段与导航失败写入当前页面 metrics
+   */
+  _routeTrackerHooks() {
+    return {
+      onRouteChange: (pageKey, fullPath, nextKey, info) => {
+        this._handleRouteChange(pageKey, fullPath, nextKey, info)
+      },
+      onRenderComplete: (renderTime) => {
+        // 渲染耗时逻辑
+        this.metrics.SPA_Render = renderTime
+        this.hasAnyMetric = true
+      },
+      // 路由切换阶段：守卫 / 懒加载 chunk / 渲染
+      onTransition: (transition) => {
+        this.metrics.routeTransition = transition
+        this.hasAnyMetric = true
+      },
+      // 导航失败（中止、取消、重复、重定向）与守卫 / chunk 加载错误
+      onNavigationFailure: (failure) => {
+        if (this.metrics.navigationFailures.length >= MAX_NAVIGATION_FAILURES) return
+        this.metrics.navigationFailures.push(failure)
+        this.hasAnyMetric = true
       }
-      this.hasAnyMetric = true
-      const snapshot = this.buildSnapshot(newUrl, newUrl)
+    }
+  }
+
+  /**
+   * 路由切换：先将旧页面 snapshot 推给 onPageComplete，再重置 metrics，
+   * 软导航模式下同时为新路由开启 CLS / INP / LCP 的统计窗口
+   * @param {string} pageKey — 旧页面 key
+   * @param {string} fullPath — 旧页面完整路径
+   * @param {string} [nextKey] — 新页面 key
+   * @param {object} [info]
+   * @param {boolean} [info.final=false] — 只上报当前页面（页面隐藏 / 卸载、bfcache 恢复），并未切换路由
+   * @param {number} [info.startTime] — 导航开始时间（performance.now() 口径），作为新页面的开始，默认为当前时间
+   */
+  _handleRouteChange(pageKey, fullPath, nextKey, { final = false, startTime = performance.now() } = {}) {
+    // 最后结束当前页面的所有指标采集，打包成 snapshot
+    this.hasAnyMetric = true
+    // 只上报当前页面时仍是同一次访问，不记录内存样本（否则每次切到后台都会多出一次“访问”）
+    if (!final) this.metrics.memoryStats = this._memoryAnalyzer.exitRoute(pageKey)
+    const snapshot = this.buildSnapshot(pageKey, fullPath)
+    // 应用采样率：超出采样率的页面不上报，但仍提供给路由订阅者（如跨路由流程统计）
+    if (!this._isExceedSamplingRate()) {
       this.onPageComplete(snapshot)
-      this.currentPage = newUrl
-      this.resetMetrics()
-    }, (renderTime) => {
-      // 渲染耗时逻辑
-      this.metrics.SPA_Render = renderTime
-      this.hasAnyMetric = true
+    }
+    this.resetMetrics()
+    // 只上报当前页面时路由并未切换：页面、导航类型、开始时间与进行中的指标窗口保持不变
+    if (!final) {
+      // 更新当前 page
+      this.currentPage = nextKey || pageKey
+      this._startVisit('soft', startTime)
+    }
+
+    this._routeListeners.forEach((listener) => {
+      try {
+        listener(snapshot, this.currentPage, { final })
+      } catch (e) {
+        logger.error('[PerfCollector] 路由订阅回调执行失败：', e)
+      }
     })
   }
 
+  /**
+   * 开始一次新的页面访问（路由切换、bfcache 恢复）：重置页面开始时间，软导航模式下重新开启 CLS / INP / LCP 的统计窗口
+   * @param {'soft'|'bfcache'} navigationType
+   * @param {number} startTime — 页面开始时间（performance.now() 口径）
+   */
+  _startVisit(navigationType, startTime) {
+    this._pageStartTime = startTime
+    this._memoryAnalyzer.enterRoute()
+    this._isSoftNavigated = true
+    this._navigationType = navigationType
+    this._startSoftNavigation(startTime)
+    this._startPageReady()
+  }
+
+  /**
+   * 订阅路由切换，listener 在旧页面快照生成、新页面开始统计后调用
+   * @param {(snapshot: object, nextKey: string, info: { final: boolean }) => void} listener — 旧页面快照、新页面 key；
+   *   info.final 为 true 时只是上报了当前页面（页面隐藏 / 卸载、bfcache 恢复），并未切换路由
+   * @returns {() => void} 取消订阅
+   */
+  onRouteChange(listener) {
+    this._routeListeners.push(listener)
+    return () => {
+      this._routeListeners = this._routeListeners.filter(fn => fn !== listener)
+    }
+  }
+
+  /**
+   * 软导航模式：为新路由重新开始 CLS 会话窗口、INP 窗口与软 LCP 观察
+   */
+  _startSoftNavigation(startTime = performance.now()) {
+    if (!this.softNavigation) return
+    const { cls, softNav } = this._observers
+    if (cls && typeof cls.restart === 'function') cls.restart()
+    if (softNav && typeof softNav.startNavigation === 'function') softNav.startNavigation(startTime)
+  }
+
   buildSnapshot(page, fullPath) {
     const usedBytes = this.metrics.memory || 0;              // 原 memory 字段
     const usedMB  = Math.round((usedBytes / 1024 / 1024) * 10) / 10; // 保留一位小数
     return {
+      // 页面快照；跨路由流程记录为 flow（见 FlowTracker）
+      type: 'page',
       pageName: page || this.currentPage,
       fullPath,
       timestamp: Date.now(),
-      // Core Web Vitals（硬导航时采集）
+      // 硬导航（首个页面）、软导航（路由切换后的页面）或 bfcache（往返缓存恢复的页面）
+      navigationType: this._navigationType,
+      // Core Web Vitals（硬导航时采集；软导航模式下按路由重新计算）
       LCP: this.metrics.LCP || null,
+      LCPAttribution: this.metrics.LCPAttribution || null,
       FCP: this.metrics.FCP || null,
       TTFB: this.metrics.TTFB || null,
+      // 硬导航瀑布图（仅首个页面）
+      navigationTiming: this.metrics.navigationTiming || null,
+      // 往返缓存：恢复耗时（仅 bfcache 恢复的页面）、未能恢复的原因（仅首个页面）
+      bfcacheRestore: this.metrics.bfcacheRestore || null,
+      notRestoredReasons: this.metrics.notRestoredReasons || null,
       CLS: this.metrics.CLS || 0,
+      CLSAttribution: this.metrics.CLSAttribution || null,
       FID: this.metrics.FID || null,
       INP: this.metrics.INP || null,
+      INPAttribution: this.metrics.INPAttribution || null,
       // 资源、长任务、内存、帧率
       resourceStats: this.metrics.resourceStats || null,
       longTaskStats: this.metrics.longTaskStats || null,
+      // 加载阶段可交互性：从 FCP（软导航为路由开始）起计算
+      ...this._buildInteractivity(),
+      // 后端 Server-Timing（文档 + 接口）
+      serverTiming: this.metrics.serverTiming || null,
+      // 接口调用（fetch / XHR）
+      apiStats: summarizeApiCalls(this.metrics.apiCalls, (this.apiMonitor || {}).slowestLimit),
       // memory: this.metrics.memory || null,
-      fpsSamples: [...this.metrics.fpsSamples],
+      // 帧率汇总（页面隐藏期间不采样），avgFPS 用于阈值评分
+      fpsStats: this.metrics.fpsStats || null,
+      avgFPS: this.metrics.fpsStats ? this.metrics.fpsStats.avg : null,
+      ...(this.keepFpsSamples ? { fpsSamples: [...this.metrics.fpsSamples] } : {}),
       // SPA 渲染时长（soft nav）
       SPA_Render: this.metrics.SPA_Render || null,
-      usedJSHeapMB: usedMB
+      // 路由切换阶段拆分与本页面期间的导航失败
+      routeTransition: this.metrics.routeTransition || null,
+      navigationFailures: this.metrics.navigationFailures.length ? [...this.metrics.navigationFailures] : null,
+      // 页面就绪耗时：manual 为页面调用 pageReady()，timeout 为超时后以 SPA_Render 兜底
+      SPA_Ready: this.metrics.SPA_Ready != null ? this.metrics.SPA_Ready : null,
+      SPA_ReadySource: this.metrics.SPA_ReadySource || null,
+      usedJSHeapMB: usedMB,
+      // 进入/离开路由时的堆内存，及同一路由多次访问的增长斜率（leakSuspected 为疑似泄漏）
+      memoryStats: this.metrics.memoryStats || null,
+      // JS 错误（按指纹聚合）
+      errors: this._buildErrorStats(),
+      // 关键元素渲染时间（elementtiming 标识 → 相对页面开始的耗时）
+      heroTimings: Object.keys(this.metrics.heroTimings).length ? { ...this.metrics.heroTimings } : null,
+      // 业务自定义耗时（mark / measure / startSpan）
+      customTimings: this._buildCustomTimings(),
+      // 最慢的组件（需 app.use(PerfPlugin)）
+      componentStats: this._buildComponentStats()
+    }
+  }
+
+  /**
+   * 页面通知“有意义的内容已可见”，记为 SPA_Ready（相对页面开始），每个页面只记录首次调用
+   * 与 SPA_Render（路由解析后的下一帧）不同，SPA_Ready 包含异步数据加载与真实内容渲染
+   * @returns {number|null} 就绪耗时，本页面已记录过时返回 null
+   */
+  pageReady() {
+    if (this.metrics.SPA_Ready != null) return null
+    clearTimeout(this._readyTimer)
+    const readyTime = numberFixed(Math.max(0, performance.now() - this._pageStartTime))
+    this.hasAnyMetric = true
+    this.metrics.SPA_Ready = readyTime
+    this.metrics.SPA_ReadySource = 'manual'
+    return readyTime
+  }
+
+  /**
+   * 为新页面开始等待 pageReady()：超时仍未调用时以路由渲染耗时 SPA_Render 兜底
+   */
+  _startPageReady() {
+    clearTimeout(this._readyTimer)
+    if (!(this.pageReadyTimeout > 0)) return
+    this._readyTimer = setTimeout(() => {
+      if (this.metrics.SPA_Ready != null || this.metrics.SPA_Render == null) return
+      this.metrics.SPA_Ready = this.metrics.SPA_Render
+      this.metrics.SPA_ReadySource = 'timeout'
+    }, this.pageReadyTimeout)
+  }
+
+  /**
+   * 打一个业务标记（如“搜索结果已展示”），记入 customTimings，值为距当前页面开始的时间
+   * @param {string} name
+   * @returns {number|null} 距页面开始的毫秒数
+   */
+  mark(name) {
+    const startTime = createMark(name)
+    if (startTime == null) return null
+    const value = numberFixed(Math.max(0, startTime - this._pageStartTime))
+    this._recordCustomTiming(name, 'mark', value)
+    return value
+  }
+
+  /**
+   * 测量一段业务耗时并记入 customTimings
+   * @param {string} name
+   * @param {string|number} start — mark 名或 performance.now() 时间戳
+   * @param {string|number} [end] — 同上，缺省为当前时刻
+   * @returns {number|null} 耗时（毫秒）
+   */
+  measure(name, start, end) {
+    const duration = createMeasure(name, start, end)
+    if (duration == null) return null
+    this._recordCustomTiming(name, 'measure', duration)
+    return duration
+  }
+
+  /**
+   * 开始一个业务耗时区间，调用返回值的 end() 结束并记入 customTimings（重复 end 只记一次）
+   * @param {string} name
+   * @returns {{ end: () => number|null }}
+   */
+  startSpan(name) {
+    const start = performance.now()
+    let ended = false
+    return {
+      end: () => {
+        if (ended) return null
+        ended = true
+        return this.measure(name, start, performance.now())
+      }
+    }
+  }
+
+  /**
+   * 按名称聚合当前页面的自定义耗时
+   * @param {string} name
+   * @param {'mark'|'measure'} type
+   * @param {number} value
+   */
+  _recordCustomTiming(name, type, value) {
+    this.hasAnyMetric = true
+    const item = this.metrics.customTimings[name]
+    if (item) {
+      item.count++
+      item.value = value
+      item.total += value
+      item.max = Math.max(item.max, value)
+      return
+    }
+    this.metrics.customTimings[name] = { type, count: 1, value, total: value, max: value }
+  }
+
+  /**
+   * 汇总当前页面的自定义耗时：value 为最近一次的值，avg / max 为多次记录的均值与最大值
+   * @returns {object|null}
+   */
+  _buildCustomTimings() {
+    const entries = Object.entries(this.metrics.customTimings || {})
+    if (!entries.length) return null
+    return entries.reduce((acc, [name, { total, ...item }]) => {
+      acc[name] = { ...item, avg: numberFixed(total / item.count) }
+      return acc
+    }, {})
+  }
+
+  /**
+   * 记录一次组件挂载 / 更新耗时（由 PerfPlugin 调用）
+   * @param {string} name — 组件名
+   * @param {'mount'|'update'} phase
+   * @param {number} duration
+   */
+  recordComponentTiming(name, phase, duration) {
+    this.hasAnyMetric = true
+    let item = this.metrics.componentStats[name]
+    if (!item) {
+      item = this.metrics.componentStats[name] = {
+        mountCount: 0,
+        mountTime: 0,
+        maxMountTime: 0,
+        updateCount: 0,
+        updateTime: 0,
+        maxUpdateTime: 0
+      }
+    }
+    if (phase === 'mount') {
+      item.mountCount++
+      item.mountTime += duration
+      item.maxMountTime = Math.max(item.maxMountTime, duration)
+    } else {
+      item.updateCount++
+      item.updateTime += duration
+      item.maxUpdateTime = Math.max(item.maxUpdateTime, duration)
+    }
+  }
+
+  /**
+   * 汇总当前页面组件耗时：按挂载 + 更新总耗时倒序，仅保留前 MAX_COMPONENT_STATS 个
+   * @returns {object[]|null}
+   */
+  _buildComponentStats() {
+    const entries = Object.entries(this.metrics.componentStats || {})
+    if (!entries.length) return null
+    return entries
+      .map(([name, item]) => ({
+        name,
+        totalTime: numberFixed(item.mountTime + item.updateTime),
+        mountCount: item.mountCount,
+        mountTime: numberFixed(item.mountTime),
+        maxMountTime: numberFixed(item.maxMountTime),
+        updateCount: item.updateCount,
+        updateTime: numberFixed(item.updateTime),
+        maxUpdateTime: numberFixed(item.maxUpdateTime)
+      }))
+      .sort((a, b) => b.totalTime - a.totalTime)
+      .slice(0, MAX_COMPONENT_STATS)
+  }
+
+  /**
+   * 计算当前页面的 TBT 与近似 TTI（相对页面开始）
+   *  - 硬导航：从 FCP 开始
+   *  - 软导航 / bfcache 恢复：从路由开始（有软 FCP 时从软 FCP）开始
+   * @returns {{ TBT: number|null, TTI: number|null }}
+   */
+  _buildInteractivity() {
+    if (typeof performance === 'undefined' || typeof performance.now !== 'function') {
+      return { TBT: null, TTI: null }
+    }
+    const { TBT, TTI } = computeInteractivity(this.metrics.longTasks, {
+      start: this._pageStartTime + (this.metrics.FCP || 0),
+      now: performance.now()
+    })
+    return {
+      TBT,
+      TTI: TTI == null ? null : numberFixed(TTI - this._pageStartTime)
+    }
+  }
+
+  /**
+   * 汇总当前页面错误：按出现次数倒序，仅保留前 MAX_ERROR_GROUPS 组
+   * @returns {{ total: number, unique: number, groups: object[] } | null}
+   */
+  _buildErrorStats() {
+    const groups = Object.values(this.metrics.errors || {})
+    if (!groups.length) return null
+    return {
+      total: groups.reduce((sum, g) => sum + g.count, 0),
+      unique: groups.length,
+      groups: groups
+        .sort((a, b) => b.count - a.count)
+        .slice(0, MAX_ERROR_GROUPS)
     }
   }
 
@@ -184,19 +726,44 @@ export class PerfCollector {
   }
 
   resetMetrics() {
+    // 支持 reset 的采集器（如资源统计）按页面重新累积
+    Object.values(this._observers || {}).forEach(observer => {
+      if (observer && typeof observer.reset === 'function') {
+        observer.reset()
+      }
+    })
     this.hasAnyMetric = false
     this.metrics = {
       LCP: null,
+      LCPAttribution: null,
       FCP: null,
       TTFB: null,
+      navigationTiming: null,
+      bfcacheRestore: null,
+      notRestoredReasons: null,
       CLS: 0,
+      CLSAttribution: null,
       FID: null,
       INP: null,
+      INPAttribution: null,
       resourceStats: {},
       longTaskStats: {},
+      longTasks: [],
+      serverTiming: null,
+      apiCalls: [],
       memory: null,
+      memoryStats: null,
       fpsSamples: [],
-      SPA_Render: null
+      fpsStats: null,
+      SPA_Render: null,
+      routeTransition: null,
+      navigationFailures: [],
+      SPA_Ready: null,
+      SPA_ReadySource: null,
+      errors: {},
+      customTimings: {},
+      heroTimings: {},
+      componentStats: {}
     }
   }
 
@@ -204,7 +771,6 @@ export class PerfCollector {
    * 暴露给外部的销毁方法：停止所有观察/采集，清理资源
    */
   destroy() {
-    this._unlistenNative()
     // 1. 停止所有 PerformanceObserver、requestAnimationFrame、setInterval
     Object.values(this._observers).forEach(observer => {
       if (observer && typeof observer.stop === 'function') {
@@ -216,6 +782,7 @@ export class PerfCollector {
       }
     })
     // 2. 清理内部状态
+    this._routeListeners = []
     this.resetMetrics()
     this._observers = {}
   }
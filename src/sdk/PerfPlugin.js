@@ -0,0 +1,94 @@
+// src/sdk/PerfPlugin.js
+import { logger } from '../utils/logger'
+
+// initPerfSDK 创建的 PerfCollector，app.use(PerfPlugin) 未传 perf 时使用
+let defaultCollector = null
+
+/**
+ * 设置 / 清除插件默认使用的 PerfCollector（由 initPerfSDK 调用）
+ * @param {import('./PerfCollector').PerfCollector|null} perf
+ */
+export function setDefaultCollector(perf) {
+  defaultCollector = perf
+}
+
+/**
+ * 获取 initPerfSDK 创建的 PerfCollector（未初始化时为 null）
+ * @returns {import('./PerfCollector').PerfCollector|null}
+ */
+export function getDefaultCollector() {
+  return defaultCollector
+}
+
+/**
+ * 组件名：优先 name，其次 <script setup> 编译出的 __name
+ * @param {object} vm — 组件实例（this）
+ * @returns {string}
+ */
+function getComponentName(vm) {
+  const options = vm.$options || {}
+  return options.name || options.__name || 'Anonymous'
+}
+
+/**
+ * Vue 3 组件渲染耗时插件
+ *
+ * 通过全局 mixin 记录每个组件 beforeMount → mounted、beforeUpdate → updated 的耗时，
+ * 按路由汇总到快照的 componentStats（挂载/更新次数与耗时，按总耗时倒序）。
+ * 父组件的耗时包含其子组件的挂载/更新。
+ *
+ * 默认不启用：需要显式 app.use(PerfPlugin)，且按 samplingRate 决定本次会话是否采集，
+ * 未命中采样时不注册任何钩子
+ *
+ * @example
+ * const { perfInstance } = initPerfSDK({ router })
+ * app.use(PerfPlugin, { samplingRate: 0.1 })
+ */
+export const PerfPlugin = {
+  /**
+   * @param {import('vue').App} app
+   * @param {object} [options]
+   * @param {import('./PerfCollector').PerfCollector} [options.perf] — 默认使用 initPerfSDK 创建的实例
+   * @param {number} [options.samplingRate=0.1] — 会话采样率，范围 0~1
+   */
+  install(app, { perf = null, samplingRate = 0.1 } = {}) {
+    if (typeof performance === 'undefined') return
+    if (Math.random() >= samplingRate) {
+      logger.debug('[PerfPlugin] 本次会话未命中采样，不采集组件耗时')
+      return
+    }
+
+    // 组件实例 → 当前阶段开始时间
+    const startTimes = new WeakMap()
+    const start = (vm) => {
+      startTimes.set(vm, performance.now())
+    }
+    const end = (vm, phase) => {
+      const startTime = startTimes.get(vm)
+      if (startTime == null) return
+      startTimes.delete(vm)
+      const collector = perf || defaultCollector
+      if (!collector) return
+      try {
+        collector.recordComponentTiming(getComponentName(vm), phase, performance.now() - startTime)
+      } catch (e) {
+        logger.warn('[PerfPlugin] 记录组件耗时失败：', e)
+      }
+    }
+
+    app.mixin({
+      beforeMount() {
+        start(this)
+      },
+      mounted() {
+        end(this, 'mount')
+      },
+      beforeUpdate() {
+        start(this)
+      },
+      updated() {
+        end(this, 'update')
+      }
+    })
+  }
+}
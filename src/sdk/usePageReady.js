@@ -0,0 +1,45 @@
+// src/sdk/usePageReady.js
+import { nextTick, watch, onBeforeUnmount } from 'vue'
+import { getDefaultCollector } from './PerfPlugin'
+
+/**
+ * 页面就绪组合式函数：在页面组件的 setup 中调用，内容真正可见时记录 SPA_Ready
+ *
+ *  - 不传参数：返回 ready 函数，由页面在数据加载、内容渲染后手动调用
+ *  - 传入 ref 或 getter：值首次变为 true 后，等待 DOM 更新与下一帧绘制再自动记录
+ *
+ * @example
+ * const loading = ref(true)
+ * usePageReady(() => !loading.value)
+ *
+ * @param {import('vue').Ref<boolean>|(() => boolean)} [condition]
+ * @param {{ perf?: import('./PerfCollector').PerfCollector }} [options] — 默认使用 initPerfSDK 创建的实例
+ * @returns {() => void} ready — 手动标记页面就绪
+ */
+export function usePageReady(condition, { perf = null } = {}) {
+  let done = false
+
+  const ready = () => {
+    if (done) return
+    done = true
+    const collector = perf || getDefaultCollector()
+    collector && collector.pageReady()
+  }
+
+  if (condition) {
+    let scheduled = false
+    // immediate 回调同步执行时 stopWatch 尚未赋值，因此用 scheduled 保证只触发一次
+    const stopWatch = watch(condition, (value) => {
+      if (!value || scheduled) return
+      scheduled = true
+      nextTick(() => requestAnimationFrame(ready))
+    }, { immediate: true })
+    onBeforeUnmount(() => {
+      // 页面在就绪前被卸载（如用户提前离开），不再记录
+      done = true
+      stopWatch()
+    })
+  }
+
+  return ready
+}
@@ -0,0 +1,254 @@
+// src/utils/ApiMonitor.js
+import { logger } from './logger'
+import { numberFixed, normalizeUrlPattern } from './index'
+
+const SLOWEST_LIMIT = 5 // apiStats 中保留的最慢接口数
+
+/**
+ * 判断 url 是否命中忽略规则（字符串按包含匹配，正则按 test 匹配）
+ * @param {string} url
+ * @param {Array<string|RegExp>} ignoreUrls
+ * @returns {boolean}
+ */
+function isIgnored(url, ignoreUrls) {
+  return ignoreUrls.some(rule =>
+    rule instanceof RegExp ? rule.test(url) : (rule && url.indexOf(rule) !== -1)
+  )
+}
+
+/**
+ * 估算请求体大小（字节），无法估算时返回 null
+ * @param {any} body
+ * @returns {number|null}
+ */
+function getBodySize(body) {
+  if (body == null) return 0
+  try {
+    if (typeof body === 'string') return new Blob([body]).size
+    if (typeof Blob !== 'undefined' && body instanceof Blob) return body.size
+    if (body instanceof ArrayBuffer) return body.byteLength
+    if (ArrayBuffer.isView(body)) return body.byteLength
+    if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+      return new Blob([body.toString()]).size
+    }
+  } catch (e) {
+    // FormData / ReadableStream 等无法直接估算
+  }
+  return null
+}
+
+/**
+ * 从 Content-Length 读取响应体大小，缺失时返回 null
+ * @param {string|null} value
+ * @returns {number|null}
+ */
+function parseContentLength(value) {
+  const size = parseInt(value, 10)
+  return Number.isNaN(size) ? null : size
+}
+
+/**
+ * 已排序数组的分位数
+ * @param {number[]} sorted
+ * @param {number} p - 0~1
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  if (!sorted.length) return 0
+  const index = Math.min(sorted.length - 1, Math.ceil(sorted.length * p) - 1)
+  return sorted[Math.max(0, index)]
+}
+
+/**
+ * 汇总一个页面内的接口调用
+ *  - count / errorCount / errorRate：总调用数、失败数（网络错误、超时、取消或状态码 ≥ 400）与失败率
+ *  - p50 / p95 / totalTime：耗时分位数与总耗时
+ *  - slowest：按平均耗时倒序的前 slowestLimit 个接口，含各自的状态码分布与最近一次失败原因
+ *
+ * @param {Array<object>} calls — monitorApiRequests 产出的调用记录
+ * @param {number} [slowestLimit=SLOWEST_LIMIT]
+ * @returns {object|null} 没有调用时返回 null
+ */
+export function summarizeApiCalls(calls, slowestLimit = SLOWEST_LIMIT) {
+  if (!calls || !calls.length) return null
+
+  const durations = calls.map(c => c.duration).sort((a, b) => a - b)
+  const endpointMap = new Map()
+  let errorCount = 0
+  let totalTime = 0
+
+  calls.forEach((call) => {
+    totalTime += call.duration
+    if (call.error) errorCount++
+    const key = `${call.method} ${call.url}`
+    let item = endpointMap.get(key)
+    if (!item) {
+      item = { endpoint: key, count: 0, errorCount: 0, totalTime: 0, maxTime: 0, statuses: {}, lastError: null }
+      endpointMap.set(key, item)
+    }
+    item.count++
+    item.totalTime += call.duration
+    if (call.duration > item.maxTime) item.maxTime = call.duration
+    item.statuses[call.status] = (item.statuses[call.status] || 0) + 1
+    if (call.error) {
+      item.errorCount++
+      item.lastError = call.error
+    }
+  })
+
+  return {
+    count: calls.length,
+    errorCount,
+    errorRate: numberFixed(errorCount / calls.length),
+    p50: numberFixed(percentile(durations, 0.5)),
+    p95: numberFixed(percentile(durations, 0.95)),
+    totalTime: numberFixed(totalTime),
+    slowest: Array.from(endpointMap.values())
+      .map(({ totalTime: total, ...item }) => ({
+        ...item,
+        avgTime: numberFixed(total / item.count),
+        maxTime: numberFixed(item.maxTime)
+      }))
+      .sort((a, b) => b.avgTime - a.avgTime)
+      .slice(0, slowestLimit)
+  }
+}
+
+/**
+ * 包装 window.fetch 与 XMLHttpRequest，记录每个接口调用，并返回 stop 函数用于还原
+ *
+ * 回调收到的调用记录：
+ *  - method / url：请求方法与归一化后的接口模式（见 normalizeUrlPattern）
+ *  - status：HTTP 状态码，网络错误等为 0
+ *  - duration：从发起到响应头返回（fetch）或请求结束（XHR）的耗时
+ *  - requestSize / responseSize：请求体大小与响应 Content-Length（字节，未知为 null）
+ *  - error：失败原因 network_error / timeout / abort / http_<status>，成功为 null
+ *  - page：发起请求时的页面（由 getPage 提供）
+ *
+ * @param {(call: object) => void} callback
+ * @param {{ ignoreUrls?: Array<string|RegExp>, getPage?: () => string }} [options]
+ *        ignoreUrls：不采集的地址（SDK 自身的上报/AI 接口会自动加入）
+ * @returns {{ stop: () => void }}
+ */
+export function monitorApiRequests(callback, { ignoreUrls = [], getPage = () => null } = {}) {
+  if (typeof window === 'undefined') {
+    return {
+      stop: () => {
+      }
+    }
+  }
+
+  function report(call) {
+    try {
+      callback({
+        ...call,
+        url: normalizeUrlPattern(call.url),
+        duration: numberFixed(call.duration)
+      })
+    } catch (e) {
+      logger.error('[monitorApiRequests] 回调执行失败：', e)
+    }
+  }
+
+  // —— 1. fetch ——
+  const originalFetch = window.fetch
+  let patchedFetch = null
+  if (typeof originalFetch === 'function') {
+    patchedFetch = function (input, init) {
+      const url = typeof input === 'string' ? input : (input && input.url) || String(input)
+      if (isIgnored(url, ignoreUrls)) {
+        return originalFetch.apply(this, arguments)
+      }
+      const method = ((init && init.method) || (input && input.method) || 'GET').toUpperCase()
+      const requestSize = getBodySize(init && init.body)
+      const page = getPage()
+      const start = performance.now()
+
+      return originalFetch.apply(this, arguments).then((res) => {
+        report({
+          method,
+          url,
+          status: res.status,
+          duration: performance.now() - start,
+          requestSize,
+          responseSize: parseContentLength(res.headers && res.headers.get('content-length')),
+          error: res.status >= 400 ? `http_${res.status}` : null,
+          page
+        })
+        return res
+      }, (err) => {
+        report({
+          method,
+          url,
+          status: 0,
+          duration: performance.now() - start,
+          requestSize,
+          responseSize: null,
+          error: err && err.name === 'AbortError' ? 'abort' : 'network_error',
+          page
+        })
+        throw err
+      })
+    }
+    window.fetch = patchedFetch
+  }
+
+  // —— 2. XMLHttpRequest ——
+  const XHR = window.XMLHttpRequest
+  const originalOpen = XHR && XHR.prototype.open
+  const originalSend = XHR && XHR.prototype.send
+  let patchedOpen = null
+  let patchedSend = null
+  if (XHR) {
+    patchedOpen = function (method, url) {
+      this._perfRequest = { method: String(method || 'GET').toUpperCase(), url: String(url) }
+      return originalOpen.apply(this, arguments)
+    }
+    patchedSend = function (body) {
+      const request = this._perfRequest
+      if (request && !isIgnored(request.url, ignoreUrls)) {
+        const xhr = this
+        const page = getPage()
+        const start = performance.now()
+        let failure = null
+        const onFail = (event) => {
+          failure = event.type === 'error' ? 'network_error' : event.type
+        }
+        xhr.addEventListener('error', onFail)
+        xhr.addEventListener('timeout', onFail)
+        xhr.addEventListener('abort', onFail)
+        xhr.addEventListener('loadend', () => {
+          const status = xhr.status
+          report({
+            method: request.method,
+            url: request.url,
+            status,
+            duration: performance.now() - start,
+            requestSize: getBodySize(body),
+            responseSize: parseContentLength(xhr.getResponseHeader && xhr.getResponseHeader('content-length')),
+            error: failure || (status >= 400 ? `http_${status}` : null),
+            page
+          })
+        }, { once: true })
+      }
+      return originalSend.apply(this, arguments)
+    }
+    XHR.prototype.open = patchedOpen
+    XHR.prototype.send = patchedSend
+  }
+
+  return {
+    stop() {
+      // 只在没有被其它库再次包装时才还原，避免覆盖别人的补丁
+      if (patchedFetch && window.fetch === patchedFetch) {
+        window.fetch = originalFetch
+      }
+      if (XHR && XHR.prototype.open === patchedOpen) {
+        XHR.prototype.open = originalOpen
+      }
+      if (XHR && XHR.prototype.send === patchedSend) {
+        XHR.prototype.send = originalSend
+      }
+    }
+  }
+}
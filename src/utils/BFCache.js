@@ -0,0 +1,89 @@
+// src/utils/BFCache.js
+import { logger } from './logger'
+import { numberFixed } from './index'
+
+/**
+ * 把 navigation entry 上的 notRestoredReasons 展开为可序列化的对象
+ *  - reasons：所有帧阻止 bfcache 的原因（去重）
+ *  - frames：存在阻止原因的帧（主文档及 iframe），含 url / src / id / name 与各自原因
+ * 新版规范中 reasons 为 { reason } 对象数组，旧版为字符串数组，两者都兼容
+ *
+ * @param {PerformanceNavigationTiming} entry
+ * @returns {{ reasons: string[], frames: Array<{ url: string|null, src: string|null, id: string|null, name: string|null, reasons: string[] }> } | null}
+ *          非前进/后退导航或浏览器不支持时返回 null
+ */
+export function getNotRestoredReasons(entry) {
+  if (!entry || entry.type !== 'back_forward' || !entry.notRestoredReasons) return null
+
+  const frames = []
+  const walk = (node) => {
+    if (!node) return
+    const reasons = (node.reasons || [])
+      .map(r => (typeof r === 'string' ? r : r && r.reason))
+      .filter(Boolean)
+    if (reasons.length) {
+      frames.push({
+        url: node.url || null,
+        src: node.src || null,
+        id: node.id || null,
+        name: node.name || null,
+        reasons
+      })
+    }
+    (node.children || []).forEach(walk)
+  }
+  walk(entry.notRestoredReasons)
+
+  return {
+    reasons: Array.from(new Set(frames.flatMap(f => f.reasons))),
+    frames
+  }
+}
+
+/**
+ * 监听页面从 bfcache（往返缓存）恢复
+ *
+ * 恢复的页面不会重新产生导航与绘制条目，参照 web-vitals 的做法，
+ * 以 pageshow 事件时间到其后第二个 requestAnimationFrame 的间隔作为恢复耗时（restoreTime），
+ * 即恢复后首次绘制的近似值
+ *
+ * @param {(restore: { restoreTime: number, timestamp: number }) => void} callback
+ * @returns {{ stop: () => void }}
+ */
+export function observeBFCacheRestore(callback) {
+  if (typeof window === 'undefined' || typeof requestAnimationFrame === 'undefined') {
+    return {
+      stop: () => {
+      }
+    }
+  }
+
+  const onPageShow = (event) => {
+    if (!event.persisted) return
+    const timestamp = Date.now()
+    requestAnimationFrame(() => {
+      requestAnimationFrame(() => {
+        try {
+          callback({
+            restoreTime: numberFixed(Math.max(0, performance.now() - event.timeStamp)),
+            timestamp
+          })
+        } catch (e) {
+          logger.error('[observeBFCacheRestore] 回调执行失败：', e)
+        }
+      })
+    })
+  }
+
+  try {
+    window.addEventListener('pageshow', onPageShow)
+  } catch (e) {
+    logger.warn('[observeBFCacheRestore] 监听 pageshow 失败：', e)
+  }
+
+  return {
+    stop() {
+      window.removeEventListener('pageshow', onPageShow)
+    }
+  }
+}
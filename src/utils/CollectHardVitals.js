@@ -1,19 +1,92 @@
 // src/sdk/CollectHardVitals.js
 
-import { onLCP, onFCP, onCLS, onINP, onTTFB } from 'web-vitals'
+import { onLCP, onFCP, onINP, onTTFB } from 'web-vitals/attribution'
 import { logger } from './logger'
+import { numberFixed, getSelector } from './index'
+import { createINPTracker, getINPAttribution } from './INPTracker'
+
+/**
+ * 从 web-vitals attribution 中挑出需要上报的字段（原始对象包含 entry，无法序列化）
+ * @param {string} name
+ * @param {object} attribution
+ * @returns {object|null}
+ */
+function pickAttribution(name, attribution) {
+  if (!attribution) return null
+  if (name === 'INP') {
+    return {
+      target: attribution.interactionTarget || '',
+      type: attribution.interactionType || '',
+      time: numberFixed(attribution.interactionTime),
+      inputDelay: numberFixed(attribution.inputDelay),
+      processingDuration: numberFixed(attribution.processingDuration),
+      presentationDelay: numberFixed(attribution.presentationDelay)
+    }
+  }
+  if (name === 'LCP') {
+    return {
+      target: attribution.target || '',
+      url: attribution.url || null,
+      timeToFirstByte: numberFixed(attribution.timeToFirstByte),
+      resourceLoadDelay: numberFixed(attribution.resourceLoadDelay),
+      resourceLoadDuration: numberFixed(attribution.resourceLoadDuration),
+      elementRenderDelay: numberFixed(attribution.elementRenderDelay)
+    }
+  }
+  return null
+}
+
+/**
+ * 原生 LCP 归因：与 web-vitals 相同的四段拆分
+ *  - timeToFirstByte：首字节时间
+ *  - resourceLoadDelay：TTFB → LCP 资源开始请求
+ *  - resourceLoadDuration：LCP 资源下载耗时
+ *  - elementRenderDelay：资源下载完成 → 元素渲染
+ * 文本类 LCP 没有资源，后两段之外的时间全部计入 elementRenderDelay
+ *
+ * @param {LargestContentfulPaint} entry
+ * @returns {object}
+ */
+function getNativeLCPAttribution(entry) {
+  const navEntry = performance.getEntriesByType?.('navigation')?.[0]
+  const activationStart = navEntry?.activationStart || 0
+  const lcpValue = Math.max(0, entry.startTime - activationStart)
+  const resourceEntry = entry.url
+    ? (performance.getEntriesByType?.('resource') || []).find(r => r.name === entry.url)
+    : null
+
+  const ttfb = navEntry ? Math.max(0, navEntry.responseStart - activationStart) : 0
+  const requestStart = Math.max(
+    ttfb,
+    resourceEntry ? (resourceEntry.requestStart || resourceEntry.startTime) - activationStart : 0
+  )
+  const responseEnd = Math.min(
+    lcpValue,
+    Math.max(requestStart, resourceEntry ? resourceEntry.responseEnd - activationStart : 0)
+  )
+
+  return {
+    target: getSelector(entry.element),
+    url: entry.url || null,
+    timeToFirstByte: numberFixed(ttfb),
+    resourceLoadDelay: numberFixed(requestStart - ttfb),
+    resourceLoadDuration: numberFixed(responseEnd - requestStart),
+    elementRenderDelay: numberFixed(lcpValue - responseEnd)
+  }
+}
 
 /**
  * collectHardVitals
  *
  * 同时支持 Web Vitals API（web-vitals 包）和原生 PerformanceObserver，
  * 并且：
- *  - LCP、CLS 会多次上报
+ *  - LCP、INP 会多次上报
  *  - FCP、FID、TTFB 只会上报一次
  *  - TTFB 使用 load + 超时 兜底补发
+ *  - CLS 统一由 SoftVitals.trackCLS（会话窗口 + 归因）采集，这里不再重复计算
  *
- * @param {(metric: { name: string; value: number }) => void} callback
- *        每当有新指标时被调用，参数包含 { name, value }
+ * @param {(metric: { name: string; value: number; attribution?: object }) => void} callback
+ *        每当有新指标时被调用，参数包含 { name, value }，LCP、INP 额外带 attribution 归因
  * @param {{ reportAllChanges?: boolean; timeout?: number }} [options]
  *        reportAllChanges: 是否开启 buffered 模式（Web Vitals only）
  *        timeout: TTFB 的超时时间（毫秒）
@@ -39,7 +112,7 @@ export function collectHardVitals(
    * deliver
    * 包装 callback，确保只有指定的指标去重，其他指标总是上报
    */
-  function deliver(name, value) {
+  function deliver(name, value, attribution) {
     // 如果是一次性指标，且已经上报过，则直接跳过
     if (onceMetrics.has(name)) {
       if (seenOnce.has(name)) return
@@ -47,7 +120,7 @@ export function collectHardVitals(
     }
     // 调用用户提供的回调
     try {
-      callback({ name, value })
+      callback(attribution ? { name, value, attribution } : { name, value })
     } catch (e) {
       logger.error(`[CollectHardVitals] callback error for ${name}`, e)
     }
@@ -55,7 +128,7 @@ export function collectHardVitals(
 
   /**
    * tryWebVital
-   * 优先尝试使用 web-vitals 提供的 API
+   * 优先尝试使用 web-vitals（attribution 构建）提供的 API
    * 如果接口存在且调用成功，会将取消订阅函数存入 unsubscribes
    *
    * @param {Function} fn        web-vitals 导入的方法，例如 getLCP
@@ -68,8 +141,8 @@ export function collectHardVitals(
     try {
       // 调用 web-vitals API
       const unsub = fn(metric => {
-        deliver(metric.name, metric.value)
-      }, opts.reportAllChanges)
+        deliver(metric.name, metric.value, pickAttribution(metric.name, metric.attribution))
+      }, { reportAllChanges: opts.reportAllChanges })
       // 部分 web-vitals 实现会返回取消函数
       if (typeof unsub === 'function') {
         unsubscribes.push(unsub)
@@ -88,8 +161,9 @@ export function collectHardVitals(
    * @param {string} entryType   PerformanceObserver 的 type 字段
    * @param {string} metricName  上报时使用的指标名
    * @param {Function} extractor 从 entry 对象中提取 value
+   * @param {Function} [attributor] 从 entry 对象中计算归因
    */
-  function observeNative(entryType, metricName, extractor) {
+  function observeNative(entryType, metricName, extractor, attributor) {
     if (typeof PerformanceObserver !== 'function') {
       logger.warn(`[CollectHardVitals] skip native observer for ${metricName}: unsupported`)
       return
@@ -99,7 +173,7 @@ export function collectHardVitals(
         for (const entry of list.getEntries()) {
           const v = extractor(entry)
           // extractor 返回 null/undefined 时跳过
-          if (v != null) deliver(metricName, v)
+          if (v != null) deliver(metricName, v, attributor ? attributor(entry) : undefined)
         }
       })
       // buffered: true 可拿到过去产生但未消费的条目
@@ -110,9 +184,43 @@ export function collectHardVitals(
     }
   }
 
+  /**
+   * observeNativeINP
+   * web-vitals 不可用时，用 event entry 按 interactionId 聚合交互，
+   * 估算 p98 交互作为 INP，并从该交互的 entry 计算归因
+   */
+  function observeNativeINP() {
+    if (typeof PerformanceObserver !== 'function') {
+      logger.warn('[CollectHardVitals] skip native observer for INP: unsupported')
+      return
+    }
+    const inpTracker = createINPTracker()
+    let lastEntry = null
+    try {
+      const obs = new PerformanceObserver(list => {
+        list.getEntries().forEach(entry => inpTracker.add(entry))
+        const inpEntry = inpTracker.getINPEntry()
+        // INP 对应的交互没变化时不重复上报
+        if (!inpEntry || inpEntry === lastEntry) return
+        lastEntry = inpEntry
+        deliver('INP', inpEntry.duration, getINPAttribution(inpEntry))
+      })
+      // durationThreshold 40ms 与 web-vitals 保持一致；first-input 补齐首次交互
+      obs.observe({ type: 'event', buffered: true, durationThreshold: 40 })
+      try {
+        obs.observe({ type: 'first-input', buffered: true })
+      } catch (e) {
+        // 部分浏览器不允许同一 observer 观察多个 type，忽略
+      }
+      nativeObservers.push(obs)
+    } catch (err) {
+      logger.warn('[CollectHardVitals] native observer INP failed', err)
+    }
+  }
+
   // —— 1. LCP —— （可多次上报）
   if (!tryWebVital(onLCP, 'LCP', { reportAllChanges })) {
-    observeNative('largest-contentful-paint', 'LCP', e => e.startTime)
+    observeNative('largest-contentful-paint', 'LCP', e => e.startTime, getNativeLCPAttribution)
   }
 
   // —— 2. FCP —— （只上报第一次）
@@ -122,40 +230,18 @@ export function collectHardVitals(
     )
   }
 
-  // —— 3. CLS —— （可多次累积上报）
-  if (!tryWebVital(onCLS, 'CLS', { reportAllChanges })) {
-    let clsAcc = 0
-    if (typeof PerformanceObserver === 'function') {
-      try {
-        const obs = new PerformanceObserver(list => {
-          for (const entry of list.getEntries()) {
-            clsAcc += entry.value
-            deliver('CLS', clsAcc)
-          }
-        })
-        obs.observe({ type: 'layout-shift', buffered: true })
-        nativeObservers.push(obs)
-      } catch (err) {
-        logger.warn('[CollectHardVitals] native observer CLS failed', err)
-      }
-    }
-  }
-
-  // —— 4. FID —— （只上报第一次）
+  // —— 3. FID —— （只上报第一次）
   if (!tryWebVital(null, 'FID', { reportAllChanges })) {
     observeNative('first-input', 'FID', e =>
       e.processingStart - e.startTime
     )
   }
-  // INP ≈「一次交互从点击到下一帧完成的全程时延，取生命周期中的最糟表现」
+  // INP ≈「一次交互从点击到下一帧完成的全程时延，取生命周期中的 p98 表现」
   if (!tryWebVital(onINP, 'INP', { reportAllChanges })) {
-    observeNative('event', 'INP', e =>
-      // 计算从交互触发到下一帧渲染完成的时长
-      e.processingEnd - e.startTime
-    )
+    observeNativeINP()
   }
 
-  // —— 5. TTFB —— （只上报第一次 + load/timeout 兜底）
+  // —— 4. TTFB —— （只上报第一次 + load/timeout 兜底）
   // 尝试 web-vitals
   const sawTV = tryWebVital(onTTFB, 'TTFB')
   // 原生 navigation timing 立即读一次
@@ -164,7 +250,7 @@ export function collectHardVitals(
     deliver('TTFB', navEntries[0].responseStart)
   }
 
-  // 5a. load 事件后再补一次（覆盖早期 timing 晚加载场景）
+  // 4a. load 事件后再补一次（覆盖早期 timing 晚加载场景）
   function onLoadFlush() {
     if (timedOut) return
     navEntries = performance.getEntriesByType?.('navigation') || []
@@ -175,7 +261,7 @@ export function collectHardVitals(
 
   window.addEventListener('load', onLoadFlush, { once: true })
 
-  // 5b. 超时兜底
+  // 4b. 超时兜底
   const timeoutId = setTimeout(() => {
     timedOut = true
     navEntries = performance.getEntriesByType?.('navigation') || []
@@ -0,0 +1,58 @@
+// src/utils/CustomTiming.js
+import { logger } from './logger'
+import { numberFixed } from './index'
+
+/**
+ * 判断 performance.mark / measure 是否可用
+ * @returns {boolean}
+ */
+function isUserTimingSupported() {
+  return typeof performance !== 'undefined' &&
+    typeof performance.mark === 'function' &&
+    typeof performance.measure === 'function'
+}
+
+/**
+ * 打一个业务标记（performance.mark），返回标记时间点
+ * @param {string} name
+ * @returns {number|null} 标记的 startTime，不支持或失败时返回 null
+ */
+export function createMark(name) {
+  if (!isUserTimingSupported()) return null
+  try {
+    const entry = performance.mark(name)
+    // 旧版浏览器的 performance.mark 没有返回值
+    return numberFixed(entry ? entry.startTime : performance.now())
+  } catch (e) {
+    logger.warn(`[createMark] 标记 ${name} 失败：`, e)
+    return null
+  }
+}
+
+/**
+ * 测量一段业务耗时（performance.measure），返回耗时
+ *  - start / end 可以是已有的 mark 名，也可以是时间戳（performance.now() 口径）
+ *  - end 缺省为当前时刻
+ *
+ * @param {string} name
+ * @param {string|number} start
+ * @param {string|number} [end]
+ * @returns {number|null} 耗时（毫秒），不支持或失败时返回 null
+ */
+export function createMeasure(name, start, end) {
+  if (!isUserTimingSupported()) return null
+  try {
+    const options = { start }
+    if (end != null) options.end = end
+    let entry = performance.measure(name, options)
+    if (!entry) {
+      // 旧版浏览器的 performance.measure 没有返回值，从缓冲区读取最新一条
+      const entries = performance.getEntriesByName(name, 'measure')
+      entry = entries[entries.length - 1]
+    }
+    return entry ? numberFixed(entry.duration) : null
+  } catch (e) {
+    logger.warn(`[createMeasure] 测量 ${name} 失败：`, e)
+    return null
+  }
+}
@@ -0,0 +1,152 @@
+// src/utils/ElementTiming.js
+import { logger } from './logger'
+import { numberFixed, getSelector, isEntryTypeSupported } from './index'
+
+const HERO_SELECTOR = '[elementtiming]'
+
+/**
+ * 采集业务关键元素（带 elementtiming 属性）的渲染时间，返回 stop 函数
+ *
+ * 支持 Element Timing API 时直接读取 element 条目；不支持时退回近似方案：
+ * MutationObserver 发现带 elementtiming 的新节点后，在下一帧（图片则在加载完成后的下一帧）记为渲染时间
+ *
+ * 回调的时间均为 performance.now() 口径的绝对时间，由调用方换算为相对页面开始的时间
+ *
+ * @param {(timing: {
+ *   identifier: string,
+ *   renderTime: number,
+ *   loadTime: number|null,
+ *   url: string|null,
+ *   target: string|null,
+ *   source: 'element-timing' | 'mutation-observer'
+ * }) => void} callback
+ * @returns {{ stop: () => void }}
+ */
+export function observeElementTiming(callback) {
+  if (typeof window === 'undefined' || typeof document === 'undefined') {
+    return {
+      stop: () => {
+      }
+    }
+  }
+
+  function deliver(timing) {
+    try {
+      callback(timing)
+    } catch (e) {
+      logger.error('[observeElementTiming] 回调执行失败：', e)
+    }
+  }
+
+  // —— 1. Element Timing API ——
+  if (isEntryTypeSupported('element')) {
+    let obs
+    try {
+      obs = new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          if (!entry.identifier) return
+          deliver({
+            identifier: entry.identifier,
+            // 跨域图片未设置 Timing-Allow-Origin 时 renderTime 为 0，退回 loadTime
+            renderTime: numberFixed(entry.renderTime || entry.loadTime),
+            loadTime: entry.loadTime ? numberFixed(entry.loadTime) : null,
+            url: entry.url || null,
+            target: entry.element ? getSelector(entry.element) : null,
+            source: 'element-timing'
+          })
+        })
+      })
+      obs.observe({ type: 'element', buffered: true })
+    } catch (e) {
+      logger.warn('[observeElementTiming] PerformanceObserver 观察失败：', e)
+      return {
+        stop: () => {
+        }
+      }
+    }
+    return {
+      stop() {
+        try {
+          obs.disconnect()
+        } catch (e) {
+          logger.warn('[observeElementTiming] disconnect 失败：', e)
+        }
+      }
+    }
+  }
+
+  // —— 2. 降级：MutationObserver + rAF ——
+  if (typeof MutationObserver === 'undefined' || typeof requestAnimationFrame === 'undefined') {
+    return {
+      stop: () => {
+      }
+    }
+  }
+
+  const seen = new WeakSet()
+  let stopped = false
+
+  function recordPaint(el, loadTime) {
+    requestAnimationFrame(() => {
+      if (stopped || !el.isConnected) return
+      deliver({
+        identifier: el.getAttribute('elementtiming'),
+        renderTime: numberFixed(performance.now()),
+        loadTime,
+        url: el.currentSrc || el.src || null,
+        target: getSelector(el),
+        source: 'mutation-observer'
+      })
+    })
+  }
+
+  function evaluate(el) {
+    if (seen.has(el) || !el.getAttribute('elementtiming')) return
+    seen.add(el)
+    if (el.tagName === 'IMG' && !el.complete) {
+      el.addEventListener('load', () => recordPaint(el, numberFixed(performance.now())), { once: true })
+      return
+    }
+    recordPaint(el, null)
+  }
+
+  function scan(root) {
+    if (root.matches && root.matches(HERO_SELECTOR)) evaluate(root)
+    if (root.querySelectorAll) root.querySelectorAll(HERO_SELECTOR).forEach(evaluate)
+  }
+
+  let mutationObs
+  try {
+    scan(document)
+    mutationObs = new MutationObserver((mutations) => {
+      try {
+        mutations.forEach((mutation) => {
+          if (mutation.type === 'attributes') {
+            evaluate(mutation.target)
+            return
+          }
+          mutation.addedNodes.forEach((node) => {
+            if (node.nodeType === 1) scan(node)
+          })
+        })
+      } catch (e) {
+        logger.warn('[observeElementTiming] 评估元素失败：', e)
+      }
+    })
+    mutationObs.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['elementtiming']
+    })
+  } catch (e) {
+    logger.warn('[observeElementTiming] MutationObserver 观察失败：', e)
+  }
+
+  return {
+    stop() {
+      stopped = true
+      mutationObs && mutationObs.disconnect()
+    }
+  }
+}
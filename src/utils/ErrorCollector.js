@@ -0,0 +1,141 @@
+// src/utils/ErrorCollector.js
+import { logger } from './logger'
+
+const MAX_STACK_LINES = 10 // 堆栈最多保留的行数
+const MAX_MESSAGE_LENGTH = 200 // 错误信息截取长度
+
+/**
+ * 规范化错误堆栈：
+ *  - 去掉首行 "TypeError: xxx" 这类与 message 重复的描述
+ *  - 去掉行首的 "at "，并裁掉 URL 上的 query/hash（避免版本号等导致指纹不一致）
+ *  - 仅保留前 maxLines 行
+ *
+ * @param {string} stack
+ * @param {number} [maxLines=MAX_STACK_LINES]
+ * @returns {string[]} 规范化后的堆栈帧
+ */
+export function normalizeStack(stack, maxLines = MAX_STACK_LINES) {
+  if (!stack || typeof stack !== 'string') return []
+  return stack
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !/^[\w$]*(Error|Exception)\b(:|$)/.test(line))
+    .map(line => line
+      .replace(/^at\s+/, '')
+      .replace(/[?#][^:)\s]*(?=:\d+(:\d+)?\)?$)/, ''))
+    .slice(0, maxLines)
+}
+
+/**
+ * 生成错误指纹：相同 类型 + 错误名 + 信息 + 栈顶帧 的错误视为同一个错误
+ * 栈帧中的列号会被忽略，避免压缩代码轻微变动导致分组失效
+ *
+ * @param {{ type: string, name: string, message: string, stack: string[] }} record
+ * @returns {string}
+ */
+export function getErrorFingerprint({ type, name, message, stack = [] }) {
+  const topFrames = stack.slice(0, 3).map(frame => frame.replace(/:\d+\)?$/, ''))
+  const raw = [type, name, message, ...topFrames].join('|')
+  // djb2 hash
+  let hash = 5381
+  for (let i = 0; i < raw.length; i++) {
+    hash = ((hash << 5) + hash + raw.charCodeAt(i)) | 0
+  }
+  return (hash >>> 0).toString(36)
+}
+
+/**
+ * 监听 JS 运行时错误与未处理的 Promise 拒绝，回调会收到规范化后的错误记录，
+ * 并返回 stop 用于断开监听、captureError 用于手动上报（如 Vue errorHandler）
+ *
+ * 资源加载失败（img/script 等）不在此处理，由 observeResources 负责
+ *
+ * @param {(record: {
+ *   fingerprint: string,
+ *   type: 'error' | 'unhandledrejection' | 'vue' | string,
+ *   name: string,
+ *   message: string,
+ *   stack: string[],
+ *   source: string | null,
+ *   info?: string,
+ *   component?: string,
+ *   timestamp: number
+ * }) => void} callback
+ * @param {{ maxStackLines?: number }} [options]
+ * @returns {{ stop: () => void, captureError: (error: any, extra?: object) => void }}
+ */
+export function trackErrors(callback, { maxStackLines = MAX_STACK_LINES } = {}) {
+  if (typeof window === 'undefined') {
+    return {
+      stop: () => {
+      },
+      captureError: () => {
+      }
+    }
+  }
+
+  /**
+   * 把任意错误值统一成错误记录并回调
+   */
+  function captureError(error, { type = 'error', source = null, ...extra } = {}) {
+    try {
+      const isError = error instanceof Error
+      const name = isError ? error.name : (error && error.name) || 'Error'
+      let message = isError ? error.message : error && error.message
+      if (message == null) {
+        try {
+          message = typeof error === 'string' ? error : JSON.stringify(error)
+        } catch (e) {
+          message = String(error)
+        }
+      }
+      message = String(message).slice(0, MAX_MESSAGE_LENGTH)
+      const stack = normalizeStack(error && error.stack, maxStackLines)
+
+      const record = {
+        type,
+        name,
+        message,
+        stack,
+        source: source || stack[0] || null,
+        ...extra,
+        timestamp: Date.now()
+      }
+      record.fingerprint = getErrorFingerprint(record)
+      callback(record)
+    } catch (e) {
+      logger.error('[trackErrors] 回调执行失败：', e)
+    }
+  }
+
+  const onError = (event) => {
+    // 资源加载失败的 error 事件不会冒泡到 window，这里再兜底过滤一次
+    if (event.target && event.target !== window) return
+    const { error, message, filename, lineno, colno } = event
+    const source = filename ? `${filename.split(/[?#]/)[0]}:${lineno}:${colno}` : null
+    captureError(error || { name: 'Error', message }, { type: 'error', source })
+  }
+
+  const onRejection = (event) => {
+    captureError(event.reason, { type: 'unhandledrejection' })
+  }
+
+  try {
+    window.addEventListener('error', onError)
+    window.addEventListener('unhandledrejection', onRejection)
+  } catch (e) {
+    logger.warn('[trackErrors] 监听错误事件失败：', e)
+  }
+
+  return {
+    stop() {
+      try {
+        window.removeEventListener('error', onError)
+        window.removeEventListener('unhandledrejection', onRejection)
+      } catch (e) {
+        logger.warn('[trackErrors] 移除错误监听失败：', e)
+      }
+    },
+    captureError
+  }
+}
@@ -0,0 +1,81 @@
+// src/utils/INPTracker.js
+import { getSelector, numberFixed } from './index'
+
+const MAX_INTERACTIONS = 10 // 只需保留耗时最长的若干次交互即可估算 p98
+
+/**
+ * 由 event entry 计算 INP 归因：交互目标、事件类型以及三个阶段耗时
+ *  - inputDelay：输入延迟（startTime → processingStart）
+ *  - processingDuration：事件回调处理耗时（processingStart → processingEnd）
+ *  - presentationDelay：呈现延迟（processingEnd → 下一帧绘制）
+ *
+ * @param {PerformanceEventTiming} entry
+ * @returns {{ target: string, type: string, time: number, inputDelay: number, processingDuration: number, presentationDelay: number }}
+ */
+export function getINPAttribution(entry) {
+  return {
+    target: getSelector(entry.target),
+    type: entry.name,
+    time: numberFixed(entry.startTime),
+    inputDelay: numberFixed(entry.processingStart - entry.startTime),
+    processingDuration: numberFixed(entry.processingEnd - entry.processingStart),
+    presentationDelay: numberFixed(Math.max(0, entry.startTime + entry.duration - entry.processingEnd))
+  }
+}
+
+/**
+ * 创建一个交互统计器：按 interactionId 聚合 event entry，
+ * 并按 web-vitals 的方式估算 p98 交互（每 50 次交互跳过一次最差值）
+ *
+ * @returns {{
+ *   add: (entry: PerformanceEventTiming) => void,
+ *   getINPEntry: () => PerformanceEventTiming | null,
+ *   reset: () => void
+ * }}
+ */
+export function createINPTracker() {
+  // 耗时最长的若干次交互（按 duration 倒序）：{ id, entry }
+  let longest = []
+  // 已观察到的交互 id，用于统计交互次数
+  let interactionIds = new Set()
+
+  return {
+    /**
+     * 记录一个 event entry，没有 interactionId 的（如 mousemove）忽略
+     * @param {PerformanceEventTiming} entry
+     */
+    add(entry) {
+      if (!entry || !entry.interactionId) return
+      interactionIds.add(entry.interactionId)
+
+      const existing = longest.find(item => item.id === entry.interactionId)
+      if (existing) {
+        // 同一次交互包含多个事件（pointerdown/pointerup/click），取耗时最长的
+        if (entry.duration > existing.entry.duration) existing.entry = entry
+      } else if (
+        longest.length < MAX_INTERACTIONS ||
+        entry.duration > longest[longest.length - 1].entry.duration
+      ) {
+        longest.push({ id: entry.interactionId, entry })
+      }
+      longest.sort((a, b) => b.entry.duration - a.entry.duration)
+      if (longest.length > MAX_INTERACTIONS) longest.pop()
+    },
+
+    /**
+     * 获取代表 INP 的交互 entry
+     * @returns {PerformanceEventTiming|null}
+     */
+    getINPEntry() {
+      if (!longest.length) return null
+      const index = Math.min(longest.length - 1, Math.floor(interactionIds.size / 50))
+      return longest[index].entry
+    },
+
+    /** 开始新的统计窗口（如路由切换） */
+    reset() {
+      longest = []
+      interactionIds = new Set()
+    }
+  }
+}
@@ -0,0 +1,47 @@
+// src/utils/Interactivity.js
+import { numberFixed } from './index'
+import { BLOCKING_THRESHOLD } from './const'
+
+const QUIET_WINDOW = 5000 // 无长任务的静默窗口时长（毫秒）
+
+/**
+ * 根据长任务条目计算加载阶段的 Total Blocking Time 与近似 Time to Interactive
+ *
+ *  - TTI：从 start（FCP 或路由开始）起，找到第一个持续 quietWindow 且没有长任务的静默窗口，
+ *    TTI 为窗口前最后一个长任务的结束时间（没有长任务时即为 start）；
+ *    截至 now 仍未出现完整的静默窗口时 TTI 为 null。与 Lighthouse 相比省略了网络静默条件，仅为近似值
+ *  - TBT：start 到 TTI（TTI 未出现时到 now）之间各长任务阻塞时间之和，
+ *    阻塞时间取条目的 blockingDuration（longtask 为超出 50ms 的部分，LoAF 为浏览器给出的 blockingDuration）；
+ *    start 之前开始、之后结束的长任务只计 start 之后的部分（与 Lighthouse 相同：截断后超出 50ms 的部分，不超过 blockingDuration）
+ *
+ * @param {Array<{ startTime: number, duration: number, blockingDuration: number }>} tasks — observeLongTasks 保留的条目
+ * @param {{ start: number, now: number, quietWindow?: number }} options — 时间均为 performance.now() 口径
+ * @returns {{ TBT: number, TTI: number|null }} TTI 为绝对时间（performance.now() 口径）
+ */
+export function computeInteractivity(tasks, { start, now, quietWindow = QUIET_WINDOW }) {
+  const sorted = (tasks || [])
+    .filter(task => task.startTime + task.duration > start)
+    .sort((a, b) => a.startTime - b.startTime)
+
+  let TTI = null
+  let lastEnd = start
+  let TBT = 0
+  for (const task of sorted) {
+    if (task.startTime - lastEnd >= quietWindow) {
+      TTI = lastEnd
+      break
+    }
+    TBT += task.startTime >= start
+      ? task.blockingDuration
+      : Math.min(task.blockingDuration, Math.max(0, task.startTime + task.duration - start - BLOCKING_THRESHOLD))
+    lastEnd = Math.max(lastEnd, task.startTime + task.duration)
+  }
+  if (TTI == null && now - lastEnd >= quietWindow) {
+    TTI = lastEnd
+  }
+
+  return {
+    TBT: numberFixed(TBT),
+    TTI: TTI == null ? null : numberFixed(TTI)
+  }
+}
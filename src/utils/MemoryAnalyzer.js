@@ -0,0 +1,152 @@
+// src/utils/MemoryAnalyzer.js
+import { logger } from './logger'
+import { numberFixed } from './index'
+
+const MAX_VISITS = 20 // 每个路由最多保留的访问记录数
+const MIN_VISITS = 3 // 至少访问几次才判断泄漏
+const LEAK_SLOPE_MB = 1 // 每次访问堆内存平均增长超过该值（MB）视为疑似泄漏
+
+const toMB = bytes => numberFixed(bytes / 1024 / 1024, 1)
+
+/**
+ * 最小二乘法计算序列的斜率（第 i 次访问 → 内存值）
+ * @param {number[]} values
+ * @returns {number}
+ */
+export function linearSlope(values) {
+  const n = values.length
+  if (n < 2) return 0
+  const meanX = (n - 1) / 2
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n
+  let numerator = 0
+  let denominator = 0
+  values.forEach((y, x) => {
+    numerator += (x - meanX) * (y - meanY)
+    denominator += (x - meanX) ** 2
+  })
+  return numerator / denominator
+}
+
+/**
+ * 是否可以使用 performance.measureUserAgentSpecificMemory（需要跨源隔离）
+ * @returns {boolean}
+ */
+function isUASpecificMemorySupported() {
+  return typeof window !== 'undefined' &&
+    window.crossOriginIsolated === true &&
+    typeof performance !== 'undefined' &&
+    typeof performance.measureUserAgentSpecificMemory === 'function'
+}
+
+/**
+ * 跨路由访问的内存泄漏分析器
+ *
+ * 每次进入路由时记录堆内存，离开时再记录一次，并把离开时的内存（见下方 sample）按路由累积：
+ * 同一路由多次访问后，用最小二乘斜率（MB/次）衡量内存随访问次数的增长，
+ * 访问次数 ≥ minVisits 且斜率 ≥ slopeThresholdMB 时标记为疑似泄漏。
+ *
+ * 内存来源（同一会话只用一种，保证序列可比），sample 标明序列取自进入还是离开时的读数：
+ *  - 跨源隔离时使用 performance.measureUserAgentSpecificMemory()：进入路由时发起测量，
+ *    结果是异步的（浏览器会等待 GC），来不及在离开路由、生成快照前取得离开时的读数，
+ *    因此只有进入时的读数（sample: 'entry'，exitMB / deltaMB 为 null），斜率按进入时内存计算；
+ *    离开时尚未返回的访问不计入序列
+ *  - 否则使用 performance.memory.usedJSHeapSize（仅 Chromium），按离开时内存计算斜率（sample: 'exit'）
+ *
+ * @param {{ minVisits?: number, slopeThresholdMB?: number }} [options]
+ * @returns {{
+ *   enterRoute: () => void,
+ *   exitRoute: (routeKey: string) => object | null
+ * }}
+ */
+export function createMemoryAnalyzer({ minVisits = MIN_VISITS, slopeThresholdMB = LEAK_SLOPE_MB } = {}) {
+  const useUASpecific = isUASpecificMemorySupported()
+  const source = useUASpecific
+    ? 'measureUserAgentSpecificMemory'
+    : (typeof performance !== 'undefined' && performance.memory ? 'performance.memory' : null)
+
+  const sample = useUASpecific ? 'entry' : 'exit'
+
+  // routeKey → 每次访问的内存（MB），按 sample 取进入或离开时的读数
+  const history = new Map()
+  let visit = null
+
+  function readHeap() {
+    try {
+      return performance.memory ? performance.memory.usedJSHeapSize : null
+    } catch (e) {
+      return null
+    }
+  }
+
+  return {
+    /**
+     * 进入新路由：记录进入时的内存
+     */
+    enterRoute() {
+      if (!source) return
+      const current = { entryBytes: null, exitBytes: null }
+      visit = current
+      if (!useUASpecific) {
+        current.entryBytes = readHeap()
+        return
+      }
+      performance.measureUserAgentSpecificMemory()
+        .then((result) => {
+          current.entryBytes = result.bytes
+        })
+        .catch((e) => {
+          logger.warn('[MemoryAnalyzer] measureUserAgentSpecificMemory 失败：', e)
+        })
+    },
+
+    /**
+     * 离开路由：记录离开时的内存，并返回该路由的内存分析
+     * @param {string} routeKey
+     * @returns {{
+     *   source: string,
+     *   sample: 'entry'|'exit',
+     *   entryMB: number|null,
+     *   exitMB: number|null,
+     *   deltaMB: number|null,
+     *   visits: number,
+     *   slopeMB: number,
+     *   leakSuspected: boolean
+     * } | null}
+     */
+    exitRoute(routeKey) {
+      const current = visit
+      visit = null
+      if (!source || !current) return null
+      try {
+        // UA 测量只在进入时发起，没有离开时的读数
+        current.exitBytes = useUASpecific ? null : readHeap()
+        const { entryBytes, exitBytes } = current
+        const sampleBytes = useUASpecific ? entryBytes : exitBytes
+
+        const values = history.get(routeKey) || []
+        if (sampleBytes != null) {
+          values.push(toMB(sampleBytes))
+          if (values.length > MAX_VISITS) values.shift()
+          history.set(routeKey, values)
+        }
+        const slopeMB = numberFixed(linearSlope(values), 2)
+
+        return {
+          source,
+          sample,
+          entryMB: entryBytes != null ? toMB(entryBytes) : null,
+          exitMB: exitBytes != null ? toMB(exitBytes) : null,
+          deltaMB: entryBytes != null && exitBytes != null
+            ? toMB(exitBytes - entryBytes)
+            : null,
+          visits: values.length,
+          slopeMB,
+          leakSuspected: values.length >= minVisits && slopeMB >= slopeThresholdMB
+        }
+      } catch (e) {
+        logger.warn('[MemoryAnalyzer] 内存分析失败：', e)
+        return null
+      }
+    }
+  }
+}
@@ -0,0 +1,101 @@
+// src/utils/NavigationTiming.js
+import { logger } from './logger'
+import { numberFixed } from './index'
+
+/**
+ * 两个时间点的差值，任一时间点缺失（为 0）时返回 0
+ * @param {number} start
+ * @param {number} end
+ * @returns {number}
+ */
+function span(start, end) {
+  return start > 0 && end > 0 ? numberFixed(Math.max(0, end - start)) : 0
+}
+
+/**
+ * 把 navigation entry 拆成瀑布图各阶段耗时（毫秒），用于区分网络 / 服务端 / 客户端耗时
+ *  - 网络：redirect、dns、tcp、tls
+ *  - 服务端：request（requestStart → responseStart，即服务端处理 + 首字节）
+ *  - 客户端：response 下载、domInteractive、domContentLoaded、load
+ * 各阶段的时间点都减去 activationStart，保证预渲染页面的数值从激活时刻算起
+ *
+ * @param {PerformanceNavigationTiming} entry
+ * @returns {object}
+ */
+export function getNavigationTiming(entry) {
+  const activationStart = entry.activationStart || 0
+  const fromActivation = t => numberFixed(Math.max(0, t - activationStart))
+  const tlsStart = entry.secureConnectionStart || 0
+
+  return {
+    type: entry.type, // navigate / reload / back_forward / prerender
+    protocol: entry.nextHopProtocol || null,
+    activationStart: numberFixed(activationStart),
+    redirect: span(entry.redirectStart, entry.redirectEnd),
+    dns: span(entry.domainLookupStart, entry.domainLookupEnd),
+    tcp: span(entry.connectStart, tlsStart > 0 ? tlsStart : entry.connectEnd),
+    tls: span(tlsStart, entry.connectEnd),
+    request: span(entry.requestStart, entry.responseStart),
+    response: span(entry.responseStart, entry.responseEnd),
+    // 以下为相对导航开始（或激活时刻）的时间点
+    TTFB: fromActivation(entry.responseStart),
+    domInteractive: fromActivation(entry.domInteractive),
+    domContentLoaded: fromActivation(entry.domContentLoadedEventEnd),
+    load: fromActivation(entry.loadEventEnd),
+    transferSize: entry.transferSize || 0
+  }
+}
+
+/**
+ * 读取硬导航的 navigation entry，在 load 完成（loadEventEnd 有值）后回调一次瀑布图数据
+ *
+ * @param {(timing: ReturnType<typeof getNavigationTiming>) => void} callback
+ * @param {{ timeout?: number }} [options] — 超过 timeout 仍未 load 完成时，按已有数据回调
+ * @returns {{ stop: () => void }}
+ */
+export function observeNavigationTiming(callback, { timeout = 10000 } = {}) {
+  if (
+    typeof window === 'undefined' ||
+    typeof performance === 'undefined' ||
+    typeof performance.getEntriesByType !== 'function'
+  ) {
+    return {
+      stop: () => {
+      }
+    }
+  }
+
+  let done = false
+  let timeoutId = null
+
+  function report(force) {
+    if (done) return
+    try {
+      const entry = performance.getEntriesByType('navigation')[0]
+      if (!entry) return
+      if (!force && !(entry.loadEventEnd > 0)) return
+      done = true
+      callback(getNavigationTiming(entry))
+    } catch (e) {
+      logger.error('[observeNavigationTiming] 回调执行失败：', e)
+    }
+  }
+
+  // loadEventEnd 要在 load 事件回调全部执行完后才有值，因此延后一个任务再读取
+  const onLoad = () => setTimeout(() => report(false), 0)
+
+  if (document.readyState === 'complete') {
+    onLoad()
+  } else {
+    window.addEventListener('load', onLoad, { once: true })
+  }
+  timeoutId = setTimeout(() => report(true), timeout)
+
+  return {
+    stop() {
+      done = true
+      window.removeEventListener('load', onLoad)
+      clearTimeout(timeoutId)
+    }
+  }
+}
@@ -0,0 +1,149 @@
+// src/utils/RouteTracker.js
+import { logger } from './logger'
+import { computeTransitionPhases } from './RouteTransition'
+
+/**
+ * 路由适配器约定：把不同路由库的导航事件统一为“开始 / 结束”两类事件
+ *
+ * @typedef {{ key: string, fullPath: string }} RouteInfo — key 为页面 key（路由模式），fullPath 为完整路径
+ *
+ * @typedef {object} RouteStartEvent
+ * @property {*} id — 本次导航的标识，结束事件需传回同一个值
+ * @property {RouteInfo|null} from — 离开的页面，首次导航为 null
+ * @property {RouteInfo} to — 目标页面
+ * @property {number} [startTime] — 导航开始时间（performance.now() 口径），适配器确认导航晚于实际开始时提供，默认为事件发出时
+ * @property {boolean} [final] — 页面即将卸载 / 隐藏，只结束当前页面，不测量渲染
+ *
+ * @typedef {object} RouteEndEvent
+ * @property {*} id — 与开始事件相同的导航标识（无法对应到某次导航的错误为 null）
+ * @property {RouteInfo|null} to
+ * @property {number|null} [resolvedAt] — 守卫 / 数据加载与懒加载组件解析完成的时间（performance.now() 口径）
+ * @property {string|null} [redirectedFrom] — 被重定向前的完整路径
+ * @property {{ type: string, from: string|null, to: string|null, message: string }} [failure] — 导航失败时提供，不测量渲染
+ *
+ * @typedef {object} RouterAdapter
+ * @property {(listener: (event: RouteStartEvent) => void) => () => void} onRouteStart — 订阅导航开始，返回取消订阅
+ * @property {(listener: (event: RouteEndEvent) => void) => () => void} onRouteEnd — 订阅导航结束（DOM 已更新、下一帧之前），返回取消订阅
+ * @property {(route: *) => string} getRouteKey — 由路由库的路由对象得到页面 key
+ * @property {() => void} destroy — 移除适配器安装的所有钩子
+ */
+
+/**
+ * 简单的事件订阅，供适配器实现 onRouteStart / onRouteEnd
+ * @returns {{ subscribe: (listener: Function) => () => void, emit: (event: object) => void }}
+ */
+export function createRouteEmitter() {
+  let listeners = []
+  return {
+    subscribe(listener) {
+      listeners.push(listener)
+      return () => {
+        listeners = listeners.filter(fn => fn !== listener)
+      }
+    },
+    emit(event) {
+      listeners.forEach((listener) => {
+        try {
+          listener(event)
+        } catch (e) {
+          logger.error('[RouteTracker] 路由事件回调执行失败：', e)
+        }
+      })
+    }
+  }
+}
+
+/**
+ * 基于路由适配器追踪路由切换，返回 { stop() }，stop 时同时销毁适配器
+ *
+ *  - 导航开始：开始计时，此时用户仍停留在旧页面
+ *  - 导航结束（提交）：结束旧页面（onRouteChange），下一帧记录渲染耗时（onRenderComplete），
+ *    并按 resolvedAt 拆分守卫 / chunk / 渲染阶段（onTransition）
+ *  - 导航失败：记录失败（onNavigationFailure），不切换页面、不测量渲染
+ * 只测量最近一次开始的导航，被新导航打断的旧导航不会写入新页面；
+ * 未提交前再次开始（守卫重定向、新导航取消旧导航）时，离开的页面仍是最初的页面
+ *
+ * @param {RouterAdapter} adapter
+ * @param {object} hooks
+ * @param {(pageKey: string, fullPath: string, nextKey: string, info: { final?: boolean, startTime?: number }) => void} hooks.onRouteChange — 旧页面 key、旧页面完整路径、新页面 key；
+ *   info.startTime 为导航开始时间（performance.now() 口径），info.final 为 true 时是页面卸载 / 隐藏前的最后一次上报，并未切换路由
+ * @param {(renderTime: number) => void} hooks.onRenderComplete
+ * @param {(transition: object) => void} [hooks.onTransition]
+ * @param {(failure: object) => void} [hooks.onNavigationFailure]
+ * @returns {{ stop: () => void }}
+ */
+export function installRouteTracker(adapter, {
+  onRouteChange,
+  onRenderComplete,
+  onTransition,
+  onNavigationFailure
+}) {
+  // 正在测量的导航：{ id, start, from, committed }
+  let current = null
+
+  function handleStart(event) {
+    if (event.final) {
+      event.from && onRouteChange(event.from.key, event.from.fullPath, event.from.key, { final: true })
+      return
+    }
+    // 上一次导航尚未提交：用户仍在最初的页面上
+    const from = current && !current.committed ? current.from : event.from
+    current = {
+      id: event.id,
+      start: event.startTime != null ? event.startTime : performance.now(),
+      from,
+      committed: false
+    }
+  }
+
+  function handleEnd(event) {
+    if (event.failure) {
+      // 无法对应到某次导航的错误（如 Vue Router 3 的 onError）视为中断了尚未提交的导航
+      const pending = current && !current.committed
+      if (pending && (current.id === event.id || event.id == null)) current = null
+      typeof onNavigationFailure === 'function' && onNavigationFailure(event.failure)
+      return
+    }
+    const navigation = current
+    if (!navigation || navigation.id !== event.id || navigation.committed) return
+    navigation.committed = true
+    if (navigation.from && event.to) {
+      // 新页面从导航开始算起，包含守卫与懒加载 chunk 的耗时，与 SPA_Render 口径一致
+      onRouteChange(navigation.from.key, navigation.from.fullPath, event.to.key, { startTime: navigation.start })
+    }
+    requestAnimationFrame(() => {
+      if (current !== navigation) return
+      current = null
+      try {
+        const end = performance.now()
+        onRenderComplete(Math.round(end - navigation.start))
+        if (typeof onTransition !== 'function') return
+        const resolved = event.resolvedAt == null ? null : event.resolvedAt
+        const resources = typeof performance.getEntriesByType === 'function' ? performance.getEntriesByType('resource') : []
+        onTransition({
+          ...computeTransitionPhases({ start: navigation.start, resolved, end }, resources),
+          to: event.to ? event.to.fullPath : null,
+          redirectedFrom: event.redirectedFrom || null
+        })
+      } catch (e) {
+        logger.warn('[RouteTracker] 渲染测量失败：', e)
+      }
+    })
+  }
+
+  const unsubscribeStart = adapter.onRouteStart(handleStart)
+  const unsubscribeEnd = adapter.onRouteEnd(handleEnd)
+
+  return {
+    stop() {
+      current = null
+      unsubscribeStart()
+      unsubscribeEnd()
+      try {
+        adapter.destroy()
+      } catch (e) {
+        logger.warn('[RouteTracker] 销毁路由适配器失败：', e)
+      }
+    }
+  }
+}
@@ -0,0 +1,90 @@
+// src/utils/RouteTransition.js
+import { numberFixed } from './index'
+
+// Vue Router 的 NavigationFailureType（Vue Router 3 另有 redirected）
+const NAVIGATION_FAILURE_TYPES = {
+  2: 'redirected',
+  4: 'aborted',
+  8: 'cancelled',
+  16: 'duplicated'
+}
+
+// 路由懒加载产生的 JS / CSS chunk
+const CHUNK_PATTERN = /\.(m?js|css)([?#]|$)/i
+const CHUNK_INITIATORS = ['script', 'link', 'other']
+
+/**
+ * 汇总路由切换期间开始下载的 chunk（import() 的 JS 与其 CSS）
+ * 耗时取各下载区间在 [start, end] 内的并集长度，并行下载不重复计算
+ *
+ * @param {PerformanceResourceTiming[]} entries — resource 条目
+ * @param {number} start — 导航开始（beforeEach）
+ * @param {number} end — 组件解析完成（beforeResolve）
+ * @returns {{ time: number, count: number, size: number }}
+ */
+export function summarizeChunkLoads(entries, start, end) {
+  const chunks = (entries || []).filter(entry =>
+    entry.startTime >= start &&
+    entry.startTime <= end &&
+    CHUNK_INITIATORS.includes(entry.initiatorType) &&
+    CHUNK_PATTERN.test(entry.name || '')
+  )
+
+  const ranges = chunks
+    .map(entry => [entry.startTime, Math.min(entry.responseEnd || entry.startTime + entry.duration, end)])
+    .sort((a, b) => a[0] - b[0])
+  let time = 0
+  let cursor = start
+  ranges.forEach(([from, to]) => {
+    const begin = Math.max(from, cursor)
+    if (to > begin) {
+      time += to - begin
+      cursor = to
+    }
+  })
+
+  return {
+    time: numberFixed(time),
+    count: chunks.length,
+    size: chunks.reduce((sum, entry) => sum + (entry.transferSize || 0), 0)
+  }
+}
+
+/**
+ * 将一次路由切换拆分为三个阶段（时间均为 performance.now() 口径）：
+ *  - guards：导航守卫耗时（beforeEach → beforeResolve 中扣除 chunk 下载的部分）
+ *  - chunks：懒加载路由组件的 chunk 下载耗时
+ *  - render：组件解析完成到渲染后的下一帧
+ *
+ * @param {{ start: number, resolved: number|null, end: number }} times — 未触发 beforeResolve 时 resolved 为 null，全部记入 guards
+ * @param {PerformanceResourceTiming[]} entries — resource 条目
+ * @returns {{ guards: number, chunks: number, render: number, total: number, chunkCount: number, chunkSize: number }}
+ */
+export function computeTransitionPhases({ start, resolved, end }, entries) {
+  const resolvedAt = resolved == null ? end : resolved
+  const chunkLoads = summarizeChunkLoads(entries, start, resolvedAt)
+  return {
+    guards: numberFixed(Math.max(0, resolvedAt - start - chunkLoads.time)),
+    chunks: chunkLoads.time,
+    render: numberFixed(Math.max(0, end - resolvedAt)),
+    total: numberFixed(Math.max(0, end - start)),
+    chunkCount: chunkLoads.count,
+    chunkSize: chunkLoads.size
+  }
+}
+
+/**
+ * 将 Vue Router 的导航失败 / 错误转为可序列化的记录
+ * @param {Error & { type?: number }} failure — afterEach 的第三个参数或 router.onError 的错误
+ * @param {{ fullPath?: string }} [to]
+ * @param {{ fullPath?: string }} [from]
+ * @returns {{ type: string, from: string|null, to: string|null, message: string }}
+ */
+export function describeNavigationFailure(failure, to, from) {
+  return {
+    type: NAVIGATION_FAILURE_TYPES[failure && failure.type] || 'error',
+    from: (from && from.fullPath) || null,
+    to: (to && to.fullPath) || null,
+    message: String((failure && failure.message) || failure || '').slice(0, 200)
+  }
+}
@@ -0,0 +1,314 @@
+// src/utils/RouterAdapters.js
+import { logger } from './logger'
+import { maskPathSegments } from './index'
+import { createRouteEmitter } from './RouteTracker'
+import { describeNavigationFailure } from './RouteTransition'
+
+/**
+ * Vue Router 的页面 key：匹配到的路由记录路径模板（如 "/product/:id"），使同一路由的不同参数聚合为同一页面
+ * 未匹配到路由记录时，退回按 maskPathSegments 归一化的 path
+ * @param {import('vue-router').RouteLocationNormalized} route
+ * @returns {string}
+ */
+export function getVueRouteKey(route) {
+  const matched = route.matched || []
+  const record = matched[matched.length - 1]
+  if (record && record.path) return record.path
+  return maskPathSegments(route.path || (route.fullPath || '').split(/[?#]/)[0])
+}
+
+/**
+ * 安装钩子并在失败时只记录日志，返回注销函数（Vue Router 3 的部分钩子没有返回值）
+ */
+function installHook(name, install) {
+  try {
+    const remove = install()
+    return typeof remove === 'function' ? remove : () => {
+    }
+  } catch (e) {
+    logger.warn(`[RouterAdapter] 安装 ${name} 失败：`, e)
+    return () => {
+    }
+  }
+}
+
+/**
+ * Vue Router 适配器（3 / 4 共用）：
+ *  - beforeEach → 导航开始；beforeResolve → 守卫执行完毕、懒加载组件已解析
+ *  - afterEach → DOM 更新（下一个微任务）后导航结束；带 failure（Vue Router 4）时为导航失败
+ *  - onError → 守卫抛错、懒加载 chunk 下载失败等
+ * installExtra 用于安装版本特有的钩子，返回注销函数数组
+ */
+function createVueAdapter(router, installExtra = () => []) {
+  const starts = createRouteEmitter()
+  const ends = createRouteEmitter()
+  // 目标路由 → beforeResolve 时间（同一次导航的各钩子收到的是同一个 to 对象）
+  const resolvedTimes = new WeakMap()
+  // 标志：是否已经历过首次（初始路由）导航
+  let hasFirst = false
+
+  const describe = route => ({ key: getVueRouteKey(route), fullPath: route.fullPath })
+
+  const removers = [
+    installHook('beforeEach', () => router.beforeEach((to, from, next) => {
+      starts.emit({ id: to, from: hasFirst ? describe(from) : null, to: describe(to) })
+      hasFirst = true
+      next()
+    })),
+    installHook('beforeResolve', () => typeof router.beforeResolve === 'function' && router.beforeResolve((to, from, next) => {
+      resolvedTimes.set(to, performance.now())
+      // Vue Router 4 可省略 next，Vue Router 3 必须调用
+      next && next()
+    })),
+    installHook('afterEach', () => router.afterEach((to, from, failure) => {
+      if (failure) {
+        ends.emit({ id: to, to: describe(to), failure: describeNavigationFailure(failure, to, from) })
+        return
+      }
+      // 路由变化触发的组件更新已在 afterEach 之前排入 Vue 的微任务队列，下一个微任务时 DOM 已更新
+      // （与 nextTick 等价，不引入 vue，避免 React 等项目引用本模块时需要解析 vue）
+      Promise.resolve().then(() => {
+        const redirectedFrom = to.redirectedFrom
+        ends.emit({
+          id: to,
+          to: describe(to),
+          resolvedAt: resolvedTimes.has(to) ? resolvedTimes.get(to) : null,
+          // Vue Router 4 为路由对象，Vue Router 3 为路径字符串
+          redirectedFrom: (redirectedFrom && (redirectedFrom.fullPath || redirectedFrom)) || null
+        })
+      })
+    })),
+    // Vue Router 3 的 onError 不提供 to / from
+    installHook('onError', () => typeof router.onError === 'function' && router.onError((error, to, from) => {
+      ends.emit({ id: to || null, to: to ? describe(to) : null, failure: describeNavigationFailure(error, to, from) })
+    })),
+    ...installExtra({ ends, describe })
+  ]
+
+  return {
+    onRouteStart: starts.subscribe,
+    onRouteEnd: ends.subscribe,
+    getRouteKey: getVueRouteKey,
+    destroy() {
+      removers.forEach(remove => remove())
+    }
+  }
+}
+
+/**
+ * Vue Router 4（Vue 3）适配器
+ * @param {import('vue-router').Router} router
+ * @returns {import('./RouteTracker').RouterAdapter}
+ */
+export function createVueRouterAdapter(router) {
+  return createVueAdapter(router)
+}
+
+/**
+ * 包装 Vue Router 3 的 push / replace，观察其导航失败（Promise reject 或 onAbort 回调），
+ * 原返回值与回调照常交给调用方；注销时仅在未被其他库再次包装时恢复
+ * @param {object} router
+ * @param {'push'|'replace'} method
+ * @param {(error: *) => void} onFailure
+ * @returns {() => void}
+ */
+function patchNavigationMethod(router, method, onFailure) {
+  const original = router[method]
+  if (typeof original !== 'function') {
+    return () => {
+    }
+  }
+  const patched = function(location, onComplete, onAbort) {
+    if (onComplete || onAbort) {
+      return original.call(this, location, onComplete, (error) => {
+        onFailure(error)
+        onAbort && onAbort(error)
+      })
+    }
+    const result = original.call(this, location)
+    result && typeof result.catch === 'function' && result.catch(onFailure)
+    return result
+  }
+  router[method] = patched
+  return () => {
+    if (router[method] === patched) router[method] = original
+  }
+}
+
+/**
+ * Vue Router 3（Vue 2.7）适配器：afterEach 不提供导航失败，onError 也只在守卫抛错、chunk 加载失败时触发，
+ * 中止 / 取消 / 重复 / 重定向通过包装 push、replace 捕获其 reject 得到。
+ * 浏览器前进 / 后退（popstate）触发的导航不经过 push / replace，其失败无法获得
+ * @param {object} router — VueRouter 实例
+ * @returns {import('./RouteTracker').RouterAdapter}
+ */
+export function createVueRouter3Adapter(router) {
+  return createVueAdapter(router, ({ ends, describe }) => {
+    const reportFailure = (error) => {
+      // 只处理 Vue Router 3 的导航失败（带 _isRouter 标记），其余错误已由 onError 上报
+      if (!error || !error._isRouter) return
+      const { to, from } = error
+      ends.emit({ id: to || null, to: to ? describe(to) : null, failure: describeNavigationFailure(error, to, from) })
+    }
+    return ['push', 'replace'].map(method => patchNavigationMethod(router, method, reportFailure))
+  })
+}
+
+/**
+ * 路由路径片段的匹配权重：静态段 > 动态段 > 通配符，用于在多个路由都能匹配时选出最具体的一个
+ */
+function scorePattern(segments) {
+  return segments.reduce((score, segment) => {
+    if (segment === '*') return score - 2
+    if (segment.startsWith(':')) return score + 3
+    return score + 10
+  }, segments.length)
+}
+
+/**
+ * 展开 React Router 的路由树，得到所有可渲染路由的完整路径模板
+ * 无 path 的布局路由只向子路由传递前缀，index 路由使用父路由的路径
+ */
+function flattenReactRoutes(routes, parentPath = '') {
+  const patterns = []
+  ;(routes || []).forEach((route) => {
+    let path = parentPath
+    if (route.path != null) {
+      path = route.path.startsWith('/') ? route.path : `${parentPath.replace(/\/$/, '')}/${route.path}`
+    }
+    if (route.children && route.children.length) {
+      patterns.push(...flattenReactRoutes(route.children, path))
+    }
+    if (route.path != null || route.index) {
+      patterns.push(path || '/')
+    }
+  })
+  return patterns
+}
+
+/**
+ * 用路由路径模板匹配 pathname，返回最具体的模板（如 "/product/:id"），均不匹配时返回 null
+ * @param {string[]} patterns
+ * @param {string} pathname
+ * @returns {string|null}
+ */
+export function matchRoutePattern(patterns, pathname) {
+  const parts = pathname.split('/').filter(Boolean)
+  let best = null
+  let bestScore = -Infinity
+  patterns.forEach((pattern) => {
+    const segments = pattern.split('/').filter(Boolean)
+    const splat = segments[segments.length - 1] === '*'
+    const fixed = splat ? segments.slice(0, -1) : segments
+    if (splat ? parts.length < fixed.length : parts.length !== fixed.length) return
+    const matched = fixed.every((segment, i) => segment.startsWith(':') || segment.toLowerCase() === parts[i].toLowerCase())
+    if (!matched) return
+    const score = scorePattern(segments)
+    if (score > bestScore) {
+      best = pattern
+      bestScore = score
+    }
+  })
+  return best
+}
+
+/**
+ * React Router 数据路由（createBrowserRouter / createHashRouter）适配器，基于 router.subscribe：
+ *  - navigation.state 离开 idle → 导航开始（loader / 懒加载路由在 loading 阶段执行）
+ *  - 回到 idle 且 location 变化 → 提交完成，下一帧为渲染结束；location 未变为中止；errors 非空时照常提交，并另报 loader 报错
+ *  - loading 期间 location 被替换：loader 重定向时记录 redirectedFrom，否则为被新导航取消
+ * 无 loader 的导航不会经过 loading，提交时同时发出开始与结束事件
+ *
+ * @param {object} router — createBrowserRouter 返回的 router
+ * @returns {import('./RouteTracker').RouterAdapter}
+ */
+export function createReactRouterAdapter(router) {
+  const starts = createRouteEmitter()
+  const ends = createRouteEmitter()
+  let patterns = null
+
+  const getRouteKey = (location) => {
+    patterns = patterns || flattenReactRoutes(router.routes)
+    return matchRoutePattern(patterns, location.pathname) || maskPathSegments(location.pathname)
+  }
+  const describe = location => ({
+    key: getRouteKey(location),
+    fullPath: location.pathname + (location.search || '') + (location.hash || '')
+  })
+
+  // 正在进行的导航：{ id, from, to, redirectedFrom }
+  let pending = null
+  let prevState = router.state
+
+  const start = (from, location, redirectedFrom = null) => {
+    pending = { id: location, from, to: describe(location), redirectedFrom }
+    starts.emit({ id: pending.id, from: pending.from, to: pending.to })
+  }
+
+  const fail = (type, message = '') => {
+    ends.emit({
+      id: pending.id,
+      to: pending.to,
+      failure: { type, from: pending.from ? pending.from.fullPath : null, to: pending.to.fullPath, message }
+    })
+    pending = null
+  }
+
+  let unsubscribe = () => {
+  }
+  try {
+    unsubscribe = router.subscribe((state) => {
+      const prev = prevState
+      prevState = state
+      const { navigation } = state
+
+      if (navigation.state !== 'idle' && navigation.location) {
+        if (pending && pending.id === navigation.location) return
+        if (!pending) {
+          start(prev.initialized ? describe(prev.location) : null, navigation.location)
+          return
+        }
+        // 导航被替换：原导航未提交，离开的仍是原来的页面
+        const { from, to: replaced } = pending
+        // loader / action 重定向时新 location 带有 _isRedirect 标记
+        const isRedirect = !!(navigation.location.state && navigation.location.state._isRedirect)
+        const redirectedFrom = isRedirect ? pending.redirectedFrom || replaced.fullPath : null
+        if (!isRedirect) fail('cancelled')
+        start(from, navigation.location, redirectedFrom)
+        return
+      }
+
+      if (state.location === prev.location) {
+        if (pending && navigation.state === 'idle') fail('aborted')
+        return
+      }
+
+      // 无 loader 的导航直接提交
+      if (!pending) start(prev.initialized ? describe(prev.location) : null, state.location)
+      ends.emit({
+        id: pending.id,
+        to: describe(state.location),
+        resolvedAt: performance.now(),
+        redirectedFrom: pending.redirectedFrom
+      })
+      // loader 出错时 location 已切换、渲染的是出错路由的 errorElement：页面照常切换，错误另行上报
+      const errors = state.errors && Object.values(state.errors)
+      if (errors && errors.length) {
+        fail('error', String((errors[0] && errors[0].message) || errors[0]).slice(0, 200))
+        return
+      }
+      pending = null
+    })
+  } catch (e) {
+    logger.warn('[RouterAdapter] 订阅 React Router 失败：', e)
+  }
+
+  return {
+    onRouteStart: starts.subscribe,
+    onRouteEnd: ends.subscribe,
+    getRouteKey,
+    destroy() {
+      unsubscribe()
+    }
+  }
+}
@@ -1,38 +1,65 @@
 // src/utils/RouterListenerAdapter.js
 import { normalizePath } from './index'
-import { nextTick } from 'vue'
+import { createRouteEmitter, installRouteTracker } from './RouteTracker'
 
 /**
- * 通用路由监听器
+ * navigateerror 转为导航失败记录：被新导航打断或用户停止时为 AbortError
+ * @param {Error|Event} error
+ * @param {{ fullPath: string }} from
+ * @param {{ fullPath: string }} to
+ * @returns {{ type: string, from: string|null, to: string|null, message: string }}
+ */
+function describeNavigateError(error, from, to) {
+  return {
+    type: error && error.name === 'AbortError' ? 'aborted' : 'error',
+    from: from ? from.fullPath : null,
+    to: to ? to.fullPath : null,
+    message: String((error && error.message) || '').slice(0, 200)
+  }
+}
+
+/**
+ * 原生路由适配器（未使用路由库时）
  *  1. 优先订阅框架自带的路由事件（uni-app、Taro）
- *  2. 接着监听标准浏览器事件：popstate、hashchange
- *  3. 可选 patch pushState/replaceState → 派发 location change
- *  4. 拦截 <a> 点击 & <form> 提交
- *  5. beforeunload/visibilitychange 做最后一次硬导航埋点
+ *  2. 支持 Navigation API（window.navigation）时订阅 navigate / navigatesuccess / navigateerror，
+ *     以 navigate 为开始、navigatesuccess 为提交完成，得到准确的 SPA_Render
+ *  3. 不支持时退回：监听 popstate、hashchange，patch pushState/replaceState → 派发 location change，
+ *     拦截 <a> 点击 & <form> 提交
+ *  4. beforeunload/visibilitychange 做最后一次硬导航埋点（final 事件，只结束当前页面）
  *
- * @param {(newUrl: string, oldUrl?: string|null) => void} onRouteChange
- * @param onRenderComplete
- * @returns {() => void} 取消所有监听
+ * 页面 key 为按 pattern 归一化后的路由模式（默认把数字、UUID、哈希段替换为占位符，如 "/product/:id"），
+ * 是否切换页面则按未归一化的路径判断，/product/1 → /product/2 仍视为一次路由切换。
+ * 退回方案监听到 URL 变化时路由已完成，开始事件之后在微任务（DOM 更新）中发出结束事件
+ *
+ * @param {object} [options]
+ * @param {boolean|((path: string) => string)} [options.routePattern=true] — 页面 key 的归一化方式，false 时直接使用路径，函数为自定义归一化
+ * @returns {import('./RouteTracker').RouterAdapter}
  */
-export function initRouterListener(onRouteChange, onRenderComplete) {
+export function createNativeRouterAdapter({ routePattern = true } = {}) {
+  const starts = createRouteEmitter()
+  const ends = createRouteEmitter()
 
-  const { markRenderStart, markRenderEnd } = setupRenderTracker(onRenderComplete)
+  const getFullPath = () => location.pathname + location.search + location.hash
+  const toKey = path => normalizePath(path, routePattern)
 
   // 保存上一页的路径，首次为初始化时的页面
   let lastUrl = normalizePath(location.href)
+  let lastFullPath = getFullPath()
 
   function notify() {
     const newUrl = normalizePath(location.href)
     const oldUrl = lastUrl
+    const oldFullPath = lastFullPath
     if (newUrl === oldUrl) return
     // 🔥 先更新 lastUrl，再触发回调，确保回调里拿到的是 old/new
     lastUrl = newUrl
-    // ⚡️ 在路由变化时，先把“上一页”数据上报
-    onRouteChange(oldUrl)
-
-    // 新页面开始打点
-    markRenderStart && markRenderStart()
-    markRenderEnd && markRenderEnd(newUrl)
+    lastFullPath = getFullPath()
+    // ⚡️ 在路由变化时，先把“上一页”数据上报，再为新页面开始打点
+    const id = {}
+    const to = { key: toKey(newUrl), fullPath: lastFullPath }
+    starts.emit({ id, from: { key: toKey(oldUrl), fullPath: oldFullPath }, to })
+    const resolvedAt = performance.now()
+    Promise.resolve().then(() => ends.emit({ id, to, resolvedAt }))
   }
 
   // 1. 框架事件：uni-app
@@ -54,106 +81,172 @@ export function initRouterListener(onRouteChange, onRenderComplete) {
     removeTaroHook = () => off('routeChange', notify)
   }
 
-  // 2. 浏览器原生事件
-  window.addEventListener('popstate', notify)
-  window.addEventListener('hashchange', notify)
+  // 2. 支持 Navigation API 时订阅 navigate 事件，否则退回监听 popstate / hashchange、patch History、拦截点击
+  const removeRouteListeners = window.navigation && typeof window.navigation.addEventListener === 'function'
+    ? listenNavigationApi(window.navigation)
+    : listenHistory()
+
+  /**
+   * Navigation API：navigate 为导航开始，navigatesuccess / navigateerror 为提交完成 / 失败，
+   * 不修改 history，也不依赖点击拦截与定时器
+   */
+  function listenNavigationApi(navigation) {
+    // 最近一次 navigate：{ id, startTime, started, from, fromUrl, to, result }
+    let current = null
+
+    // 导航已开始且已有结果时发出结束事件（navigatesuccess 可能早于判断完是否同文档）
+    const settle = () => {
+      if (!current || !current.started || !current.result) return
+      const { id, to, from, fromUrl, result } = current
+      current = null
+      // 导航失败时用户仍停留在原页面，恢复上一页路径
+      if (result.error && lastFullPath === to.fullPath) {
+        lastUrl = fromUrl
+        lastFullPath = from.fullPath
+      }
+      ends.emit(result.error
+        ? { id, to, failure: describeNavigateError(result.error, from, to) }
+        : { id, to, resolvedAt: result.time })
+    }
 
-  // 3. 可选 patch History API
-  let removeMethodPatch = () => {
-  }
-  const _push = history.pushState
-  const _replace = history.replaceState
-  if (!_push._perfPatched) {
-    history.pushState = function() {
-      const result = _push.apply(this, arguments)
-      window.dispatchEvent(new Event('locationchange'))
-      return result
+    const onNavigate = (event) => {
+      if (event.downloadRequest != null) return
+      const record = { id: {}, startTime: performance.now(), started: false, result: null }
+      const destination = new URL(event.destination.url)
+      current = record
+      // 事件派发完成后才能知道路由库是否 intercept()：同文档导航会产生 navigation.transition，跨文档导航交给 beforeunload
+      Promise.resolve().then(() => {
+        if (current !== record) return
+        const newUrl = normalizePath(destination.href)
+        if ((!event.destination.sameDocument && !navigation.transition) || newUrl === lastUrl) {
+          current = null
+          return
+        }
+        record.fromUrl = lastUrl
+        record.from = { key: toKey(lastUrl), fullPath: lastFullPath }
+        lastUrl = newUrl
+        lastFullPath = destination.pathname + destination.search + destination.hash
+        record.to = { key: toKey(newUrl), fullPath: lastFullPath }
+        record.started = true
+        starts.emit({ id: record.id, from: record.from, to: record.to, startTime: record.startTime })
+        settle()
+      })
     }
-    history.pushState._perfPatched = true
-  }
-  if (!_replace._perfPatched) {
-    history.replaceState = function() {
-      const result = _replace.apply(this, arguments)
-      window.dispatchEvent(new Event('locationchange'))
-      return result
+    const onSuccess = () => {
+      if (!current) return
+      current.result = { time: performance.now() }
+      settle()
+    }
+    const onError = (event) => {
+      if (!current) return
+      current.result = { error: event.error || event }
+      settle()
+    }
+
+    navigation.addEventListener('navigate', onNavigate)
+    navigation.addEventListener('navigatesuccess', onSuccess)
+    navigation.addEventListener('navigateerror', onError)
+    return () => {
+      navigation.removeEventListener('navigate', onNavigate)
+      navigation.removeEventListener('navigatesuccess', onSuccess)
+      navigation.removeEventListener('navigateerror', onError)
     }
-    history.replaceState._perfPatched = true
-  }
-  window.addEventListener('locationchange', notify)
-  removeMethodPatch = () => {
-    window.removeEventListener('locationchange', notify)
-    history.pushState = _push
-    history.replaceState = _replace
   }
 
-  // 4. 拦截 <a> 点击 & <form> 提交
-  const clickHandler = e => {
-    const a = e.target.closest('a[href]')
-    if (!a) return
-    const href = a.getAttribute('href')
-    // 只拦截同源并非下载链接
-    if (!href.startsWith('http') || new URL(href, location.origin).origin === location.origin) {
-      setTimeout(notify, 0)
+  // 退回方案：History API / hashchange / 点击拦截
+  function listenHistory() {
+    // 浏览器原生事件
+    window.addEventListener('popstate', notify)
+    window.addEventListener('hashchange', notify)
+
+    // 可选 patch History API
+    let removeMethodPatch = () => {
+    }
+    const _push = history.pushState
+    const _replace = history.replaceState
+    if (!_push._perfPatched) {
+      history.pushState = function() {
+        const result = _push.apply(this, arguments)
+        window.dispatchEvent(new Event('locationchange'))
+        return result
+      }
+      history.pushState._perfPatched = true
+    }
+    if (!_replace._perfPatched) {
+      history.replaceState = function() {
+        const result = _replace.apply(this, arguments)
+        window.dispatchEvent(new Event('locationchange'))
+        return result
+      }
+      history.replaceState._perfPatched = true
+    }
+    window.addEventListener('locationchange', notify)
+    removeMethodPatch = () => {
+      window.removeEventListener('locationchange', notify)
+      history.pushState = _push
+      history.replaceState = _replace
+    }
+
+    // 拦截 <a> 点击 & <form> 提交
+    const clickHandler = e => {
+      const a = e.target.closest('a[href]')
+      if (!a) return
+      const href = a.getAttribute('href')
+      // 只拦截同源并非下载链接
+      if (!href.startsWith('http') || new URL(href, location.origin).origin === location.origin) {
+        setTimeout(notify, 0)
+      }
+    }
+    document.addEventListener('click', clickHandler, true)
+
+    return () => {
+      window.removeEventListener('popstate', notify)
+      window.removeEventListener('hashchange', notify)
+      removeMethodPatch()
+      document.removeEventListener('click', clickHandler, true)
     }
   }
-  document.addEventListener('click', clickHandler, true)
 
-  // 5. 硬导航前最后一次埋点
-  const beforeUnloadHandler = () => onRouteChange(normalizePath(location.href), lastUrl)
+  // 3. 硬导航前最后一次埋点
+  const flush = () => starts.emit({
+    id: null,
+    from: { key: toKey(location.href), fullPath: getFullPath() },
+    to: { key: toKey(lastUrl), fullPath: lastFullPath },
+    final: true
+  })
   const visibilityHandler = () => {
     if (document.visibilityState === 'hidden') {
-      onRouteChange(normalizePath(location.href), lastUrl)
+      flush()
     }
   }
-  window.addEventListener('beforeunload', beforeUnloadHandler)
+  window.addEventListener('beforeunload', flush)
   document.addEventListener('visibilitychange', visibilityHandler)
 
-  // 返回取消监听
-  return () => {
-    removeUniHook()
-    removeTaroHook()
-    window.removeEventListener('popstate', notify)
-    window.removeEventListener('hashchange', notify)
-    window.removeEventListener('beforeunload', beforeUnloadHandler)
-    document.removeEventListener('visibilitychange', visibilityHandler)
-
-    removeMethodPatch()
-    document.removeEventListener('click', clickHandler, true)
+  return {
+    onRouteStart: starts.subscribe,
+    onRouteEnd: ends.subscribe,
+    getRouteKey: toKey,
+    // 取消所有监听
+    destroy() {
+      removeUniHook()
+      removeTaroHook()
+      removeRouteListeners()
+      window.removeEventListener('beforeunload', flush)
+      document.removeEventListener('visibilitychange', visibilityHandler)
+    }
   }
 }
 
-export function setupRenderTracker(onRenderComplete) {
-  let isPending = false
-
-  const markRenderStart = () => {
-    performance.mark('route-start')
-    isPending = true
-  }
-
-  const markRenderEnd = (pagePath) => {
-    if (!isPending) return
-    nextTick(() => {
-      requestAnimationFrame(() => {
-        try {
-          performance.mark('route-end')
-          performance.measure('route-render', 'route-start', 'route-end')
-          const measures = performance.getEntriesByName('route-render')
-          if (measures?.length > 0) {
-            const duration = measures[measures.length - 1].duration
-            onRenderComplete(Math.round(duration), pagePath)
-          }
-        } catch (err) {
-        }
-        performance.clearMarks('route-start')
-        performance.clearMarks('route-end')
-        performance.clearMeasures('route-render')
-        isPending = false
-      })
-    })
-  }
-
-  return {
-    markRenderStart,
-    markRenderEnd
-  }
+/**
+ * 通用路由监听器：原生路由适配器 + 路由追踪（渲染耗时）
+ *
+ * @param {(pageKey: string, fullPath: string, nextKey: string, info: { final?: boolean, startTime?: number }) => void} onRouteChange — 结束页面的 key、完整路径，即将进入页面的 key；
+ *   见 installRouteTracker
+ * @param {(renderTime: number) => void} onRenderComplete
+ * @param {object} [options] — 见 createNativeRouterAdapter
+ * @returns {() => void} 取消所有监听
+ */
+export function initRouterListener(onRouteChange, onRenderComplete, options) {
+  const tracker = installRouteTracker(createNativeRouterAdapter(options), { onRouteChange, onRenderComplete })
+  return () => tracker.stop()
 }
@@ -1,103 +1,34 @@
 // src/sdk/SPARouteTracker.js
-import { nextTick } from 'vue'
-import { logger } from './logger'
-
+import { installRouteTracker } from './RouteTracker'
+import { createVueRouterAdapter } from './RouterAdapters'
 
 /**
  * 安装 SPA 路由渲染耗时追踪器，返回一个可以停止监听的 { stop() } 对象。
  *
- * 在 Vue Router SPA 中，监听每次路由切换，并用 performance.mark/measure
- * 计算“路由渲染时长”。不再额外保存 routeStartTime 变量，因为我们直接用 mark/measure。
+ * 在 Vue Router SPA 中，监听每次路由切换，测量导航开始到渲染后下一帧的“路由渲染时长”。
+ * 页面 key 取匹配到的路由路径模板（见 getVueRouteKey），完整路径单独作为 fullPath 传出。
+ * 同时将每次切换拆分为守卫（guards）、懒加载 chunk 下载（chunks）、渲染（render）三个阶段，
+ * 并记录 Vue Router 的导航失败（aborted / cancelled / duplicated / redirected）与守卫、chunk 加载抛出的错误
+ *
+ * 等价于 installRouteTracker(createVueRouterAdapter(router), ...)。Vue Router 3 同样适用，但记录不到中止 / 取消 / 重复 / 重定向，
+ * 需要时改用 installRouteTracker(createVueRouter3Adapter(router), ...)
  *
  * @param {import('vue-router').Router} router
- * @param onRouteChange
- * @param {(renderTime: number) => void} onRenderComplete
+ * @param {(pageKey: string, fullPath: string, nextKey: string, info: { startTime: number }) => void} onRouteChange — 旧页面 key、旧页面完整路径、新页面 key，info.startTime 为导航开始时间
+ * @param {(renderTime: number) => void} onRenderComplete — 导航开始到渲染后下一帧的耗时（ms）
+ * @param {object} [hooks]
+ * @param {(transition: { guards: number, chunks: number, render: number, total: number, chunkCount: number, chunkSize: number, to: string, redirectedFrom: string|null }) => void} [hooks.onTransition] — 导航成功并渲染后回调
+ * @param {(failure: { type: string, from: string|null, to: string|null, message: string }) => void} [hooks.onNavigationFailure] — 导航失败或出错时回调
  * @returns {{ stop: () => void }}
  */
-export function installSPARouteTracker(router, onRouteChange, onRenderComplete,) {
-  // 存储两个注销函数
-  let removeBefore = null
-  let removeAfter = null
-  // 标志：是否已做过首页（初始路由）快照
-  let hasFirst = false
-  let isPendingRender = false
-
-  /** 渲染时长 start 点 */
-  function markRenderStart() {
-    performance.mark('route-start')
-    isPendingRender = true
-  }
-
-  /** 渲染时长 end & 回调 */
-  function markRenderEnd() {
-    if (!isPendingRender) return
-    nextTick(() => {
-      requestAnimationFrame(() => {
-        try {
-          performance.mark('route-end')
-          performance.measure('route-render', 'route-start', 'route-end')
-          const measures = performance.getEntriesByName('route-render')
-          if (measures.length) {
-            const duration = Math.round(measures.pop().duration)
-            onRenderComplete(duration)
-          }
-        } catch (err) {
-          logger.warn('[SPARouteTracker] 渲染测量失败：', err)
-        } finally {
-          performance.clearMarks('route-start')
-          performance.clearMarks('route-end')
-          performance.clearMeasures('route-render')
-          isPendingRender = false
-        }
-      })
-    })
-  }
-
-  try {
-    // 1. beforeEach: 仅设置开始标记
-    removeBefore = router.beforeEach((to, from, next) => {
-      const currentUrl = location.pathname + location.search + location.hash
-      if (hasFirst && to.fullPath !== currentUrl) {
-        const prevKey = from.name || from.fullPath
-        onRouteChange(prevKey, from.fullPath)
-      } else {
-        hasFirst = true
-      }
-      // 标记开始测量
-      markRenderStart()
-      next()
-    })
-  } catch (e) {
-    logger.warn('[SPARouteTracker] 安装 beforeEach 失败：', e)
-  }
-
-  try {
-    // 2. afterEach: 在 DOM 更新完成后设置结束标记并 measure
-    removeAfter = router.afterEach(() => {
-      // 渲染结束时点
-      markRenderEnd()
-    })
-  } catch (e) {
-    logger.warn('[SPARouteTracker] 安装 afterEach 失败：', e)
-  }
-
-  return {
-    stop() {
-      // 调用注销函数，移除钩子
-      if (typeof removeBefore === 'function') {
-        try {
-          removeBefore()
-        } catch (e) {
-          logger.warn('[SPARouteTracker] 卸载 beforeEach 失败：', e)
-        }
-      }
-      if (typeof removeAfter === 'function') {
-        try {
-          removeAfter()
-        } catch (e) {
-          logger.warn('[SPARouteTracker] 卸载 afterEach 失败：', e)
-        }
-      }
-    }
-  }
+export function installSPARouteTracker(router, onRouteChange, onRenderComplete, {
+  onTransition,
+  onNavigationFailure
+} = {}) {
+  return installRouteTracker(createVueRouterAdapter(router), {
+    onRouteChange,
+    onRenderComplete,
+    onTransition,
+    onNavigationFailure
+  })
 }
@@ -0,0 +1,108 @@
+// src/utils/Scrubber.js
+
+const REDACTED = '[redacted]'
+
+// 默认脱敏的查询参数
+const DEFAULT_DENY_PARAMS = [
+  /token/i, /^auth(_?code|orization)?$/i, /session/i, /passw(or)?d|^pwd$/i, /secret/i, /ticket/i,
+  /^code$/i, /^sign(ature)?$/i, /^(api_?|app_?)?key$/i,
+  /e?mail/i, /phone|mobile|^tel$/i, /id_?card|id_?no/i
+]
+
+// 静态资源扩展名：构建产物的文件名带内容 hash（如 index-<hash>.js），不是 token
+const ASSET_EXT = '(?:[cm]?js|css|map|json|wasm|html?|png|jpe?g|gif|webp|avif|svg|ico|woff2?|ttf|otf|eot|mp[34]|webm)'
+
+// 默认的值脱敏规则：邮箱（排除 icon@2x.png 这类图片名）、带 + 国际区号的电话、JWT 与长 token（排除静态资源文件名）
+const DEFAULT_PATTERNS = [
+  /[A-Za-z0-9._%+-]+@(?!\d+x\.)[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g,
+  /\+\d{1,3}[- ]?\d{6,14}(?!\d)/g,
+  /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  new RegExp(`\\b[A-Za-z0-9_-]{32,}\\b(?![A-Za-z0-9._-]*\\.${ASSET_EXT}\\b)`, 'g')
+]
+
+// 国内手机号：前后不能紧邻数字（避免误伤时间戳等长数字），不使用后行断言以兼容旧版 Safari
+const MOBILE_PATTERN = /(^|[^\d.])((?:\+?86[- ]?)?1[3-9]\d{9})(?![\d.])/g
+
+// 查询串中的 name=value（同时匹配 hash 路由中的查询串）
+const QUERY_PARAM = /([?&])([^=&#\s]+)=([^&#\s]*)/g
+
+/**
+ * 判断参数名是否命中规则：字符串为不区分大小写的完全匹配，正则直接 test
+ * @param {string} name
+ * @param {Array<string|RegExp>} rules
+ * @returns {boolean}
+ */
+function matchParam(name, rules) {
+  const lower = name.toLowerCase()
+  return rules.some(rule => (rule instanceof RegExp ? rule.test(name) : lower === String(rule).toLowerCase()))
+}
+
+/**
+ * 创建快照脱敏函数，在数据进入 DataCache（上报接口与 AI 接口）之前调用
+ *
+ * 深度遍历快照，所有字符串值（fullPath、资源 / 接口 URL、错误信息等，包括以后新增的字段）依次经过：
+ *  1. maskField 自定义钩子（返回 undefined 表示不处理）
+ *  2. 查询参数：配置 allowParams 时只保留白名单参数的值，否则脱敏命中 denyParams 的参数值
+ *  3. 正则脱敏：邮箱、手机号、JWT / 长 token（静态资源文件名中的 hash 除外）及自定义 patterns
+ * 查询参数规则中字符串为不区分大小写的完全匹配，正则直接匹配参数名
+ * fields 中列出的字段名整体替换为 replacement
+ *
+ * @param {object} [options]
+ * @param {Array<string|RegExp>} [options.allowParams] — 查询参数白名单，配置后其余参数值全部脱敏
+ * @param {Array<string|RegExp>} [options.denyParams] — 追加的查询参数黑名单（与默认列表合并）
+ * @param {RegExp[]} [options.patterns] — 追加的值脱敏正则（需带 g 标志）
+ * @param {string[]} [options.fields] — 整体脱敏的字段名
+ * @param {(key: string, value: any, path: string) => any} [options.maskField] — 自定义字段脱敏，返回 undefined 时继续默认处理
+ * @param {string} [options.replacement='[redacted]']
+ * @returns {(data: object) => object} 返回脱敏后的副本，不修改原对象
+ */
+export function createScrubber({
+  allowParams,
+  denyParams = [],
+  patterns = [],
+  fields = [],
+  maskField,
+  replacement = REDACTED
+} = {}) {
+  const deny = [...DEFAULT_DENY_PARAMS, ...denyParams]
+  const valuePatterns = [...DEFAULT_PATTERNS, ...patterns]
+
+  function scrubString(value) {
+    let result = value.replace(QUERY_PARAM, (match, sep, name, paramValue) => {
+      if (!paramValue) return match
+      const masked = allowParams ? !matchParam(name, allowParams) : matchParam(name, deny)
+      return masked ? `${sep}${name}=${replacement}` : match
+    })
+    result = result.replace(MOBILE_PATTERN, (match, lead) => lead + replacement)
+    valuePatterns.forEach((pattern) => {
+      result = result.replace(pattern, replacement)
+    })
+    return result
+  }
+
+  function walk(value, key, path, seen) {
+    if (typeof maskField === 'function') {
+      const custom = maskField(key, value, path)
+      if (custom !== undefined) return custom
+    }
+    if (key && fields.includes(key)) return replacement
+    if (typeof value === 'string') return scrubString(value)
+    if (!value || typeof value !== 'object') return value
+    // 只跳过循环引用，同一对象被多处引用时各自脱敏
+    if (seen.has(value)) return undefined
+    seen.add(value)
+    let result
+    if (Array.isArray(value)) {
+      result = value.map((item, index) => walk(item, key, `${path}[${index}]`, seen))
+    } else {
+      result = {}
+      Object.keys(value).forEach((k) => {
+        result[k] = walk(value[k], k, path ? `${path}.${k}` : k, seen)
+      })
+    }
+    seen.delete(value)
+    return result
+  }
+
+  return data => walk(data, '', '', new Set())
+}
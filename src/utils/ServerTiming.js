@@ -0,0 +1,133 @@
+// src/utils/ServerTiming.js
+import { logger } from './logger'
+import { numberFixed, normalizeUrlPattern } from './index'
+
+const MAX_ENDPOINTS = 20 // 每个页面最多聚合的接口数
+const API_INITIATOR_TYPES = ['fetch', 'xmlhttprequest', 'beacon']
+
+/**
+ * PerformanceServerTiming 数组转为可序列化的普通对象
+ * @param {PerformanceServerTiming[]} serverTiming
+ * @returns {Array<{ name: string, duration: number, description: string }>}
+ */
+function toServerTimingList(serverTiming) {
+  return Array.from(serverTiming || []).map(item => ({
+    name: item.name,
+    duration: numberFixed(item.duration),
+    description: item.description || ''
+  }))
+}
+
+/**
+ * 解析后端返回的 Server-Timing 响应头（通过 entry.serverTiming 读取），并返回 stop / reset 函数
+ *  - navigation：首个页面 HTML 文档的 Server-Timing（如 db、cache、render）
+ *  - endpoints：按接口模式聚合的 fetch/XHR Server-Timing，每个阶段给出次数、平均与最大耗时
+ * 跨域接口需要同时返回 Timing-Allow-Origin，浏览器才会暴露 serverTiming
+ *
+ * @param {(stats: {
+ *   navigation: Array<{ name: string, duration: number, description: string }> | null,
+ *   endpoints: Record<string, { count: number, metrics: Record<string, { count: number, avg: number, max: number }> }>
+ * }) => void} callback
+ * @returns {{ stop: () => void, reset: () => void }} stop 断开观察；reset 在路由切换时清空累积数据
+ */
+export function observeServerTiming(callback) {
+  if (
+    typeof window === 'undefined' ||
+    typeof PerformanceObserver === 'undefined'
+  ) {
+    return {
+      stop: () => {
+      },
+      reset: () => {
+      }
+    }
+  }
+
+  let navigation = null
+  // endpoint -> { count, metrics: name -> { count, total, max } }
+  let endpointMap = new Map()
+
+  function emit() {
+    const endpoints = {}
+    endpointMap.forEach(({ count, metrics }, endpoint) => {
+      const summary = {}
+      metrics.forEach(({ count: n, total, max }, name) => {
+        summary[name] = { count: n, avg: numberFixed(total / n), max: numberFixed(max) }
+      })
+      endpoints[endpoint] = { count, metrics: summary }
+    })
+    callback({ navigation, endpoints })
+  }
+
+  function recordEndpoint(entry) {
+    const endpoint = normalizeUrlPattern(entry.name)
+    let item = endpointMap.get(endpoint)
+    if (!item) {
+      if (endpointMap.size >= MAX_ENDPOINTS) return false
+      item = { count: 0, metrics: new Map() }
+      endpointMap.set(endpoint, item)
+    }
+    item.count++
+    toServerTimingList(entry.serverTiming).forEach(({ name, duration }) => {
+      const metric = item.metrics.get(name) || { count: 0, total: 0, max: 0 }
+      metric.count++
+      metric.total += duration
+      if (duration > metric.max) metric.max = duration
+      item.metrics.set(name, metric)
+    })
+    return true
+  }
+
+  // 文档本身的 Server-Timing 只读取一次
+  try {
+    const navEntry = performance.getEntriesByType?.('navigation')?.[0]
+    if (navEntry && navEntry.serverTiming && navEntry.serverTiming.length) {
+      navigation = toServerTimingList(navEntry.serverTiming)
+    }
+  } catch (e) {
+    logger.warn('[observeServerTiming] 读取 navigation serverTiming 失败：', e)
+  }
+
+  let obs
+  try {
+    obs = new PerformanceObserver((list) => {
+      try {
+        let changed = false
+        list.getEntries().forEach((entry) => {
+          if (!API_INITIATOR_TYPES.includes(entry.initiatorType)) return
+          if (!entry.serverTiming || !entry.serverTiming.length) return
+          if (recordEndpoint(entry)) changed = true
+        })
+        if (changed) emit()
+      } catch (e) {
+        logger.error('[observeServerTiming] 回调执行失败：', e)
+      }
+    })
+    obs.observe({ type: 'resource', buffered: true })
+  } catch (e) {
+    logger.warn('[observeServerTiming] PerformanceObserver 观察失败：', e)
+    return {
+      stop: () => {
+      },
+      reset: () => {
+      }
+    }
+  }
+
+  if (navigation) emit()
+
+  return {
+    stop() {
+      try {
+        obs.disconnect()
+      } catch (e) {
+        logger.warn('[observeServerTiming] disconnect 失败：', e)
+      }
+    },
+    reset() {
+      // 文档的 Server-Timing 只属于首个页面
+      navigation = null
+      endpointMap = new Map()
+    }
+  }
+}
@@ -0,0 +1,200 @@
+// src/utils/SoftNavigation.js
+import { logger } from './logger'
+import { numberFixed, getSelector } from './index'
+import { createINPTracker, getINPAttribution } from './INPTracker'
+
+const SOFT_LCP_TIMEOUT = 10000 // 软导航后最多观察多久的绘制（毫秒）
+const MAX_CANDIDATES_PER_MUTATION = 50 // 单批 DOM 变更最多评估的候选元素数
+const MEDIA_SELECTOR = 'img,video,svg,canvas'
+const CANDIDATE_SELECTOR = `${MEDIA_SELECTOR},h1,h2,h3,h4,h5,h6,p,li,pre,blockquote,td`
+
+/**
+ * 元素在视口内的可见面积
+ * @param {Element} el
+ * @returns {number}
+ */
+function getVisibleArea(el) {
+  const rect = el.getBoundingClientRect()
+  const vw = window.innerWidth || document.documentElement.clientWidth
+  const vh = window.innerHeight || document.documentElement.clientHeight
+  const width = Math.max(0, Math.min(rect.right, vw) - Math.max(rect.left, 0))
+  const height = Math.max(0, Math.min(rect.bottom, vh) - Math.max(rect.top, 0))
+  return width * height
+}
+
+/**
+ * 与 LCP 的候选范围保持一致：图片/视频/画布，或直接包含非空文本的元素
+ * @param {Element} el
+ * @returns {boolean}
+ */
+function isLCPCandidate(el) {
+  if (el.matches(MEDIA_SELECTOR)) return true
+  return Array.from(el.childNodes).some(n => n.nodeType === 3 && n.textContent.trim())
+}
+
+/**
+ * 软导航（SPA 路由切换）阶段的 Web Vitals 采集器，返回 stop / startNavigation
+ *
+ * 浏览器的 LCP/FCP 只针对硬导航产出，INP 则贯穿整个页面生命周期，
+ * 因此路由切换后由这里为新路由重新计算：
+ *  - FCP / LCP：startNavigation 之后，用 MutationObserver 观察新插入的候选元素，
+ *    在下一帧（图片则在加载完成后的下一帧）记为绘制时间，取可见面积最大者作为软 LCP；
+ *    用户首次输入或超过 SOFT_LCP_TIMEOUT 后不再更新（与原生 LCP 行为一致）
+ *  - INP：按导航开始时间切分 event entry，每个路由单独估算 p98 交互
+ *
+ * 回调参数与 collectHardVitals 相同：{ name, value, attribution? }，value 均相对于导航开始时间
+ *
+ * @param {(metric: { name: 'FCP' | 'LCP' | 'INP', value: number, attribution?: object }) => void} callback
+ * @returns {{ stop: () => void, startNavigation: (startTime?: number) => void }}
+ */
+export function trackSoftNavigation(callback) {
+  if (typeof window === 'undefined' || typeof document === 'undefined') {
+    return {
+      stop: () => {
+      },
+      startNavigation: () => {
+      }
+    }
+  }
+
+  // 当前导航：硬导航阶段为 0，不计算软 LCP/FCP
+  let navigationId = 0
+  let navigationStart = 0
+  let lcpArea = 0
+  let fcpReported = false
+  let paintObserving = false
+  let mutationObs = null
+  let timeoutId = null
+
+  const inpTracker = createINPTracker()
+  let lastInpEntry = null
+
+  function deliver(name, value, attribution) {
+    try {
+      callback(attribution ? { name, value, attribution } : { name, value })
+    } catch (e) {
+      logger.error(`[trackSoftNavigation] callback error for ${name}`, e)
+    }
+  }
+
+  /** 在下一帧记录候选元素的绘制时间 */
+  function recordPaint(el, navId) {
+    requestAnimationFrame(() => {
+      if (!paintObserving || navId !== navigationId || !el.isConnected) return
+      const paintTime = numberFixed(performance.now() - navigationStart)
+      const area = getVisibleArea(el)
+      if (area <= 0) return
+      if (!fcpReported) {
+        fcpReported = true
+        deliver('FCP', paintTime)
+      }
+      if (area > lcpArea) {
+        lcpArea = area
+        deliver('LCP', paintTime, {
+          target: getSelector(el),
+          url: el.currentSrc || el.src || null
+        })
+      }
+    })
+  }
+
+  function evaluate(el) {
+    const navId = navigationId
+    if (el.tagName === 'IMG' && !el.complete) {
+      el.addEventListener('load', () => recordPaint(el, navId), { once: true })
+      return
+    }
+    recordPaint(el, navId)
+  }
+
+  function onMutations(mutations) {
+    let budget = MAX_CANDIDATES_PER_MUTATION
+    try {
+      for (const mutation of mutations) {
+        for (const node of mutation.addedNodes) {
+          if (node.nodeType !== 1) continue
+          if (isLCPCandidate(node)) {
+            evaluate(node)
+            if (--budget <= 0) return
+          }
+          for (const el of node.querySelectorAll(CANDIDATE_SELECTOR)) {
+            if (!isLCPCandidate(el)) continue
+            evaluate(el)
+            if (--budget <= 0) return
+          }
+        }
+      }
+    } catch (e) {
+      logger.warn('[trackSoftNavigation] 评估 LCP 候选元素失败：', e)
+    }
+  }
+
+  /** 停止观察绘制：用户输入、超时或下一次导航 */
+  function finalizePaint() {
+    paintObserving = false
+    if (mutationObs) {
+      mutationObs.disconnect()
+      mutationObs = null
+    }
+    clearTimeout(timeoutId)
+    window.removeEventListener('pointerdown', finalizePaint, true)
+    window.removeEventListener('keydown', finalizePaint, true)
+  }
+
+  // —— INP：按路由切分交互 ——
+  let eventObs = null
+  if (typeof PerformanceObserver === 'function') {
+    try {
+      eventObs = new PerformanceObserver((list) => {
+        list.getEntries().forEach((entry) => {
+          // 导航开始前的交互属于上一个路由
+          if (entry.startTime >= navigationStart) inpTracker.add(entry)
+        })
+        const inpEntry = inpTracker.getINPEntry()
+        if (!inpEntry || inpEntry === lastInpEntry) return
+        lastInpEntry = inpEntry
+        deliver('INP', inpEntry.duration, getINPAttribution(inpEntry))
+      })
+      eventObs.observe({ type: 'event', buffered: true, durationThreshold: 40 })
+    } catch (e) {
+      logger.warn('[trackSoftNavigation] event 观察失败：', e)
+    }
+  }
+
+  return {
+    /**
+     * 开始一次软导航：重置 INP 窗口，并开始观察新路由的绘制
+     * @param {number} [startTime=performance.now()] 导航开始时间
+     */
+    startNavigation(startTime = performance.now()) {
+      finalizePaint()
+      navigationId++
+      navigationStart = startTime
+      lcpArea = 0
+      fcpReported = false
+      inpTracker.reset()
+      lastInpEntry = null
+
+      if (typeof MutationObserver === 'undefined') return
+      try {
+        paintObserving = true
+        mutationObs = new MutationObserver(onMutations)
+        mutationObs.observe(document.body || document.documentElement, { childList: true, subtree: true })
+        window.addEventListener('pointerdown', finalizePaint, true)
+        window.addEventListener('keydown', finalizePaint, true)
+        timeoutId = setTimeout(finalizePaint, SOFT_LCP_TIMEOUT)
+      } catch (e) {
+        logger.warn('[trackSoftNavigation] MutationObserver 观察失败：', e)
+      }
+    },
+
+    stop() {
+      finalizePaint()
+      try {
+        eventObs && eventObs.disconnect()
+      } catch (e) {
+        logger.warn('[trackSoftNavigation] disconnect 失败：', e)
+      }
+    }
+  }
+}
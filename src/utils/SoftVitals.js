@@ -1,18 +1,90 @@
 import { logger } from './logger'
-import { numberFixed } from './index'
+import { numberFixed, isEntryTypeSupported, getSelector } from './index'
+import { BLOCKING_THRESHOLD } from './const'
+
+const MAX_FAILED_URLS = 10 // 每个页面最多保留的失败资源条数
+const SLOWEST_LIMIT = 5 // 每个页面保留的最慢资源条数
+const URL_LENGTH = 100 // 资源 url 默认截取长度
+
+/**
+ * 根据触发 error 的元素推断资源类型
+ * @param {Element} el
+ * @returns {string|null} script / css / img / font / media，非资源元素返回 null
+ */
+function getFailedElementType(el) {
+  switch (el.tagName) {
+    case 'IMG':
+      return 'img'
+    case 'SCRIPT':
+      return 'script'
+    case 'LINK': {
+      const rel = (el.rel || '').toLowerCase()
+      if (rel.includes('stylesheet')) return 'css'
+      if ((el.as || el.getAttribute('as')) === 'font') return 'font'
+      return 'link'
+    }
+    case 'VIDEO':
+    case 'AUDIO':
+    case 'SOURCE':
+      return 'media'
+    default:
+      return null
+  }
+}
+
+/**
+ * 由 CSS 发起的资源（字体、背景图）不会触发元素 error 事件，按扩展名推断类型
+ * @param {string} url
+ * @returns {string}
+ */
+function getCssResourceType(url) {
+  return /\.(woff2?|ttf|otf|eot)([?#]|$)/i.test(url) ? 'font' : 'img'
+}
 
 /**
- * 监听资源加载，回调会收到 PerformanceResourceTiming 数组，并返回一个 stop 函数用于断开监听
- * * @param {(stats: { count: number, avgTime: number, maxTime: number }) => void} callback
- * @returns {{ stop: () => void }} stop 方法用于断开观察
+ * 资源分类：以 initiatorType 为准，字体按扩展名单独归类，<link> 样式表归为 css
+ * @param {PerformanceResourceTiming} entry
+ * @returns {string} script / css / img / fetch / xmlhttprequest / font / 其他 initiatorType
  */
-export function observeResources(callback) {
+function getResourceType(entry) {
+  const { name = '', initiatorType = 'other' } = entry
+  if (/\.(woff2?|ttf|otf|eot)([?#]|$)/i.test(name)) return 'font'
+  if (initiatorType === 'link' && /\.css([?#]|$)/i.test(name)) return 'css'
+  return initiatorType
+}
+
+/**
+ * 监听资源加载，回调会收到本页面的资源统计，并返回 stop / reset 函数
+ *  - count/avgTime/maxTime：已加载资源的数量与耗时
+ *  - byType：按资源类型的数量、耗时、传输/编码/解码体积（字节）与缓存命中率
+ *    （transferSize 为 0 且 body 非 0 视为命中缓存）
+ *  - slowest：耗时最长的前 slowestLimit 个资源，url 按 textLength 截断
+ *  - failed：加载失败的资源（元素 error 事件 + responseStatus ≥ 400 的 CSS 资源）
+ *
+ * @param {(stats: {
+ *   count: number,
+ *   avgTime: number,
+ *   maxTime: number,
+ *   byType: Record<string, { count: number, avgTime: number, maxTime: number, transferSize: number, encodedBodySize: number, decodedBodySize: number, cacheHitRate: number }>,
+ *   slowest: Array<{ url: string, type: string, duration: number, transferSize: number }>,
+ *   failed: { count: number, byType: Record<string, number>, urls: Array<{ url: string, type: string, count: number, status: number|null, duration: number|null }> } | null
+ * }) => void} callback
+ * @param {{ maxFailedUrls?: number, slowestLimit?: number, textLength?: number }} [options]
+ * @returns {{ stop: () => void, reset: () => void }} stop 断开观察；reset 在路由切换时清空累积数据
+ */
+export function observeResources(callback, {
+  maxFailedUrls = MAX_FAILED_URLS,
+  slowestLimit = SLOWEST_LIMIT,
+  textLength = URL_LENGTH
+} = {}) {
   if (
     typeof window === 'undefined' ||
     typeof PerformanceObserver === 'undefined'
   ) {
     return {
       stop: () => {
+      },
+      reset: () => {
       }
     }
   }
@@ -21,6 +93,124 @@ export function observeResources(callback) {
   let count = 0
   let totalTime = 0
   let maxTime = 0
+  // 按类型累积：type -> { count, totalTime, maxTime, transferSize, encodedBodySize, decodedBodySize, cacheHits }
+  let typeMap = new Map()
+  // 最慢资源（按 duration 倒序）
+  let slowest = []
+  // 失败资源，按 url 去重：url -> { url, type, count, status, duration }
+  let failedMap = new Map()
+
+  const truncate = url => (url && url.length > textLength ? url.slice(0, textLength) : url)
+
+  function recordEntry(entry, type) {
+    const d = entry.duration
+    const transferSize = entry.transferSize || 0
+    const encodedBodySize = entry.encodedBodySize || 0
+    const decodedBodySize = entry.decodedBodySize || 0
+
+    let stats = typeMap.get(type)
+    if (!stats) {
+      stats = { count: 0, totalTime: 0, maxTime: 0, transferSize: 0, encodedBodySize: 0, decodedBodySize: 0, cacheHits: 0 }
+      typeMap.set(type, stats)
+    }
+    stats.count++
+    stats.totalTime += d
+    if (d > stats.maxTime) stats.maxTime = d
+    stats.transferSize += transferSize
+    stats.encodedBodySize += encodedBodySize
+    stats.decodedBodySize += decodedBodySize
+    if (transferSize === 0 && decodedBodySize > 0) stats.cacheHits++
+
+    if (slowest.length < slowestLimit || d > slowest[slowest.length - 1].duration) {
+      slowest.push({ url: truncate(entry.name), type, duration: numberFixed(d), transferSize })
+      slowest.sort((a, b) => b.duration - a.duration)
+      if (slowest.length > slowestLimit) slowest.pop()
+    }
+  }
+
+  function buildTypeStats() {
+    const byType = {}
+    typeMap.forEach((stats, type) => {
+      byType[type] = {
+        count: stats.count,
+        avgTime: numberFixed(stats.count > 0 ? stats.totalTime / stats.count : 0),
+        maxTime: numberFixed(stats.maxTime),
+        transferSize: stats.transferSize,
+        encodedBodySize: stats.encodedBodySize,
+        decodedBodySize: stats.decodedBodySize,
+        cacheHitRate: numberFixed(stats.count > 0 ? stats.cacheHits / stats.count : 0)
+      }
+    })
+    return byType
+  }
+
+  function buildFailedStats() {
+    if (!failedMap.size) return null
+    const list = Array.from(failedMap.values())
+    const byType = {}
+    let failedCount = 0
+    list.forEach((item) => {
+      failedCount += item.count
+      byType[item.type] = (byType[item.type] || 0) + item.count
+    })
+    return {
+      count: failedCount,
+      byType,
+      urls: list
+        .sort((a, b) => b.count - a.count)
+        .slice(0, maxFailedUrls)
+        .map(item => ({ ...item, url: truncate(item.url) }))
+    }
+  }
+
+  function emit() {
+    // 计算平均耗时
+    const avgTime = count > 0 ? totalTime / count : 0
+    callback({
+      count: numberFixed(count),
+      avgTime: numberFixed(avgTime),
+      maxTime: numberFixed(maxTime),
+      byType: buildTypeStats(),
+      slowest: slowest.map(item => ({ ...item })),
+      failed: buildFailedStats()
+    })
+  }
+
+  /**
+   * 记录一次失败，并尽量从 PerformanceResourceTiming 中补充状态码与耗时
+   */
+  function recordFailure(url, type, entry) {
+    if (!entry && typeof performance !== 'undefined' && performance.getEntriesByName) {
+      const entries = performance.getEntriesByName(url, 'resource') || []
+      entry = entries[entries.length - 1]
+    }
+    const status = entry && entry.responseStatus ? entry.responseStatus : null
+    const duration = entry ? numberFixed(entry.duration) : null
+    const item = failedMap.get(url)
+    if (item) {
+      item.count++
+      if (status != null) item.status = status
+      if (duration != null) item.duration = duration
+    } else {
+      failedMap.set(url, { url, type, count: 1, status, duration })
+    }
+  }
+
+  // 元素加载失败（img/script/link…）的 error 事件不冒泡，只能在捕获阶段拿到
+  const onResourceError = (event) => {
+    try {
+      const el = event.target
+      if (!el || el === window || !el.tagName) return
+      const type = getFailedElementType(el)
+      if (!type) return
+      const url = el.currentSrc || el.src || el.href
+      if (!url) return
+      recordFailure(url, type)
+      emit()
+    } catch (e) {
+      logger.error('[observeResources] 失败资源处理异常：', e)
+    }
+  }
 
   let obs
   try {
@@ -34,15 +224,14 @@ export function observeResources(callback) {
           count++
           totalTime += d
           if (d > maxTime) maxTime = d
+          recordEntry(e, getResourceType(e))
+          // CSS 引用的字体/背景图失败时没有元素 error 事件，依赖 responseStatus（Chromium 109+）
+          if (e.initiatorType === 'css' && e.responseStatus >= 400) {
+            recordFailure(e.name, getCssResourceType(e.name), e)
+          }
         })
 
-        // 计算平均耗时
-        const avgTime = count > 0 ? totalTime / count : 0
-        callback({
-          count: numberFixed(count),
-          avgTime: numberFixed(avgTime),
-          maxTime: numberFixed(maxTime)
-        })
+        emit()
       } catch (e) {
         logger.error('[observeResources] 回调执行失败：', e)
       }
@@ -52,41 +241,85 @@ export function observeResources(callback) {
     logger.warn('[observeResources] PerformanceObserver 观察失败：', e)
     return {
       stop: () => {
+      },
+      reset: () => {
       }
     }
   }
 
+  window.addEventListener('error', onResourceError, true)
+
   return {
     stop() {
       try {
         obs.disconnect()
+        window.removeEventListener('error', onResourceError, true)
       } catch (e) {
         logger.warn('[observeResources] disconnect 失败：', e)
       }
+    },
+    reset() {
+      count = 0
+      totalTime = 0
+      maxTime = 0
+      typeMap = new Map()
+      slowest = []
+      failedMap = new Map()
     }
   }
 }
 
+const TOP_FRAMES = 5 // 每个页面保留阻塞最严重的 LoAF 帧数
+const TOP_SCRIPTS = 5 // 每个页面保留耗时最长的脚本数
+const SCRIPTS_PER_FRAME = 3 // 每帧保留的脚本数
+const MAX_RETAINED_TASKS = 200 // 每个页面保留的长任务条目数（用于计算 TBT / TTI）
+
 /**
- * 监听长任务（JS 执行时间大于 50ms），回调会收到 PerformanceLongTaskTiming 数组，并返回一个 stop 函数
- * * @param {(stats: { count: number, avgTime: number, maxTime: number }) => void} callback
- * @returns {{ stop: () => void }} stop 方法用于断开观察
+ * 保留长任务的起止与阻塞时间，超出上限时丢弃最早的条目
+ * @param {Array<object>} tasks
+ * @param {{ startTime: number, duration: number, blockingDuration: number }} task
  */
-export function observeLongTasks(callback) {
+function retainTask(tasks, task) {
+  tasks.push({
+    startTime: numberFixed(task.startTime),
+    duration: numberFixed(task.duration),
+    blockingDuration: numberFixed(task.blockingDuration)
+  })
+  if (tasks.length > MAX_RETAINED_TASKS) tasks.shift()
+}
+
+/**
+ * 监听长任务（JS 执行时间大于 50ms），并返回 stop / reset 函数
+ * 浏览器支持 Long Animation Frames 时改用 observeLongAnimationFrames（可定位到具体脚本），
+ * 否则退回 longtask，仅统计数量与耗时
+ * 回调的第二个参数为 reset 以来的长任务条目（起止时间与阻塞时间），用于计算 TBT / TTI
+ *
+ * @param {(stats: { source: 'longtask' | 'long-animation-frame', count: number, avgTime: number, maxTime: number, [others]: any }, tasks: Array<{ startTime: number, duration: number, blockingDuration: number }>) => void} callback
+ * @param {{ textLength?: number }} [options] — 透传给 observeLongAnimationFrames
+ * @returns {{ stop: () => void, reset: () => void }} stop 断开观察；reset 在路由切换时清空累积数据
+ */
+export function observeLongTasks(callback, options = {}) {
   if (
     typeof window === 'undefined' ||
     typeof PerformanceObserver === 'undefined'
   ) {
     return {
       stop: () => {
+      },
+      reset: () => {
       }
     }
   }
 
+  if (isEntryTypeSupported('long-animation-frame')) {
+    return observeLongAnimationFrames(callback, options)
+  }
+
   // 累积数据
   let count = 0
   let totalTime = 0
   let maxTime = 0
+  let tasks = []
 
   let obs
   try {
@@ -100,14 +333,20 @@ export function observeLongTasks(callback) {
           count++
           totalTime += d
           if (d > maxTime) maxTime = d
+          retainTask(tasks, {
+            startTime: e.startTime,
+            duration: d,
+            blockingDuration: Math.max(0, d - BLOCKING_THRESHOLD)
+          })
         })
 
         const avgTime = (count > 0 ? totalTime / count : 0).toFixed(3)
         callback({
+          source: 'longtask',
           count: numberFixed(count),
           avgTime: numberFixed(avgTime),
           maxTime: numberFixed(maxTime)
-        })
+        }, tasks.slice())
       } catch (e) {
         logger.error('[observeLongTasks] 回调执行失败：', e)
       }
@@ -117,6 +356,8 @@ export function observeLongTasks(callback) {
     logger.warn('[observeLongTasks] PerformanceObserver 观察失败：', e)
     return {
       stop: () => {
+      },
+      reset: () => {
       }
     }
   }
@@ -128,42 +369,274 @@ export function observeLongTasks(callback) {
       } catch (e) {
         logger.warn('[observeLongTasks] disconnect 失败：', e)
       }
+    },
+    reset() {
+      count = 0
+      totalTime = 0
+      maxTime = 0
+      tasks = []
+    }
+  }
+}
+
+/**
+ * 监听长动画帧（Long Animation Frames，Chromium 123+），并返回 stop / reset 函数
+ *  - count/avgTime/maxTime：长帧数量与帧耗时
+ *  - totalBlockingDuration：所有长帧 blockingDuration 之和
+ *  - frames：阻塞最严重的前 TOP_FRAMES 帧，含 renderStart、样式/布局耗时及帧内耗时最长的脚本
+ *  - topScripts：按 sourceURL + sourceFunctionName + invoker 聚合后耗时最长的脚本
+ *
+ * @param {(stats: {
+ *   source: 'long-animation-frame',
+ *   count: number,
+ *   avgTime: number,
+ *   maxTime: number,
+ *   totalBlockingDuration: number,
+ *   frames: Array<{ startTime: number, duration: number, blockingDuration: number, renderStart: number, styleAndLayoutDuration: number, scripts: object[] }>,
+ *   topScripts: Array<{ sourceURL: string, sourceFunctionName: string, invoker: string, count: number, duration: number, maxDuration: number }>
+ * }, tasks: Array<{ startTime: number, duration: number, blockingDuration: number }>) => void} callback
+ *        tasks 与 observeLongTasks 相同：reset 以来的长帧条目
+ * @param {{ textLength?: number }} [options]
+ * @returns {{ stop: () => void, reset: () => void }}
+ */
+export function observeLongAnimationFrames(callback, { textLength = URL_LENGTH } = {}) {
+  if (
+    typeof window === 'undefined' ||
+    typeof PerformanceObserver === 'undefined'
+  ) {
+    return {
+      stop: () => {
+      },
+      reset: () => {
+      }
+    }
+  }
+
+  // 累积数据
+  let count = 0
+  let totalTime = 0
+  let maxTime = 0
+  let totalBlockingDuration = 0
+  let frames = []
+  let tasks = []
+  // 脚本聚合：key -> { sourceURL, sourceFunctionName, invoker, count, duration, maxDuration }
+  let scriptMap = new Map()
+
+  const truncate = url => (url && url.length > textLength ? url.slice(0, textLength) : url)
+
+  function toScriptInfo(script) {
+    return {
+      sourceURL: truncate((script.sourceURL || '').split(/[?#]/)[0]),
+      sourceFunctionName: script.sourceFunctionName || '',
+      invoker: script.invoker || '',
+      duration: numberFixed(script.duration)
+    }
+  }
+
+  function recordFrame(entry) {
+    const d = entry.duration
+    count++
+    totalTime += d
+    if (d > maxTime) maxTime = d
+    totalBlockingDuration += entry.blockingDuration || 0
+    retainTask(tasks, { startTime: entry.startTime, duration: d, blockingDuration: entry.blockingDuration || 0 })
+
+    const scripts = (entry.scripts || []).map(toScriptInfo)
+    scripts.forEach((script) => {
+      const key = `${script.sourceURL}|${script.sourceFunctionName}|${script.invoker}`
+      const item = scriptMap.get(key)
+      if (item) {
+        item.count++
+        item.duration = numberFixed(item.duration + script.duration)
+        if (script.duration > item.maxDuration) item.maxDuration = script.duration
+      } else {
+        scriptMap.set(key, { ...script, count: 1, maxDuration: script.duration })
+      }
+    })
+
+    const frameEnd = entry.startTime + d
+    frames.push({
+      startTime: numberFixed(entry.startTime),
+      duration: numberFixed(d),
+      blockingDuration: numberFixed(entry.blockingDuration || 0),
+      renderStart: numberFixed(entry.renderStart || 0),
+      styleAndLayoutDuration: numberFixed(entry.styleAndLayoutStart ? frameEnd - entry.styleAndLayoutStart : 0),
+      scripts: scripts
+        .sort((a, b) => b.duration - a.duration)
+        .slice(0, SCRIPTS_PER_FRAME)
+    })
+    frames.sort((a, b) => b.blockingDuration - a.blockingDuration)
+    if (frames.length > TOP_FRAMES) frames.pop()
+  }
+
+  let obs
+  try {
+    obs = new PerformanceObserver((list) => {
+      try {
+        const entries = list.getEntries()
+        if (!entries.length) return
+
+        entries.forEach(recordFrame)
+
+        callback({
+          source: 'long-animation-frame',
+          count: numberFixed(count),
+          avgTime: numberFixed(count > 0 ? totalTime / count : 0),
+          maxTime: numberFixed(maxTime),
+          totalBlockingDuration: numberFixed(totalBlockingDuration),
+          frames: frames.map(frame => ({ ...frame })),
+          topScripts: Array.from(scriptMap.values())
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, TOP_SCRIPTS)
+            .map(script => ({ ...script }))
+        }, tasks.slice())
+      } catch (e) {
+        logger.error('[observeLongAnimationFrames] 回调执行失败：', e)
+      }
+    })
+    obs.observe({ type: 'long-animation-frame', buffered: true })
+  } catch (e) {
+    logger.warn('[observeLongAnimationFrames] PerformanceObserver 观察失败：', e)
+    return {
+      stop: () => {
+      },
+      reset: () => {
+      }
+    }
+  }
+
+  return {
+    stop() {
+      try {
+        obs.disconnect()
+      } catch (e) {
+        logger.warn('[observeLongAnimationFrames] disconnect 失败：', e)
+      }
+    },
+    reset() {
+      count = 0
+      totalTime = 0
+      maxTime = 0
+      totalBlockingDuration = 0
+      frames = []
+      tasks = []
+      scriptMap = new Map()
     }
   }
 }
 
+const FRAME_INTERVAL = 1000 / 60 // 以 60Hz 为基准计算掉帧
+const FROZEN_FPS = 10 // 低于该帧率的秒数记为卡死
+const MAX_FPS = 240 // 帧率分布统计的上限
+// 单帧掉帧数分桶：[桶名, 下限]
+const DROPPED_FRAME_BUCKETS = [['1', 1], ['2-3', 2], ['4-7', 4], ['8+', 8]]
+
 /**
- * 采集 FPS，每秒统计一次，并返回一个 stop 函数用于停止帧率监听
- * @param {(fpsValue: number) => void} callback
- * @param {number} maxSamples — fps 样本最大长度
- * @returns {{ stop: () => void }} stop 方法用于取消 requestAnimationFrame
+ * 采集 FPS，每秒统计一次，并返回 stop / reset
+ *  - 页面隐藏时暂停采样（浏览器会节流 rAF，继续统计只会得到无意义的 0 帧），可见后重新开始
+ *  - 回调的 stats 为 reset 以来的汇总：
+ *    samples（采样秒数）、min / avg / p5（帧率）、frozenSeconds（帧率 < FROZEN_FPS 的秒数）、
+ *    droppedFrames（单帧掉帧数分布，按 60Hz 计算，如 '2-3' 表示一帧内丢了 2~3 帧的次数）
+ *
+ * @param {(fpsValue: number, stats: {
+ *   samples: number,
+ *   min: number,
+ *   avg: number,
+ *   p5: number,
+ *   frozenSeconds: number,
+ *   droppedFrames: Record<string, number>
+ * }) => void} callback — 逐秒样本的保留（maxFpsSamples）由调用方负责
+ * @returns {{ stop: () => void, reset: () => void }}
  */
-export function trackFPS(callback, maxSamples = 60) {
+export function trackFPS(callback) {
   if (typeof window === 'undefined' || typeof requestAnimationFrame === 'undefined') {
     return {
       stop: () => {
+      },
+      reset: () => {
       }
     }
   }
 
   let lastTime = performance.now()
+  let lastFrameTime = null
   let frameCount = 0
   let isStopped = false
-  const fpsSamples = []
+  let isPaused = false
   let rafId = null
 
+  // 汇总数据：fpsCounts[fps] 为该帧率出现的秒数，用于计算分位数
+  let fpsCounts = []
+  let samples = 0
+  let totalFps = 0
+  let minFps = null
+  let frozenSeconds = 0
+  let droppedFrames = {}
+
+  function resetStats() {
+    fpsCounts = []
+    samples = 0
+    totalFps = 0
+    minFps = null
+    frozenSeconds = 0
+    droppedFrames = DROPPED_FRAME_BUCKETS.reduce((acc, [name]) => {
+      acc[name] = 0
+      return acc
+    }, {})
+  }
+
+  function getPercentile(p) {
+    const target = Math.ceil(samples * p)
+    let seen = 0
+    for (let fps = 0; fps < fpsCounts.length; fps++) {
+      seen += fpsCounts[fps] || 0
+      if (seen >= target) return fps
+    }
+    return minFps || 0
+  }
+
+  function getStats() {
+    return {
+      samples,
+      min: minFps || 0,
+      avg: samples > 0 ? numberFixed(totalFps / samples, 1) : 0,
+      p5: samples > 0 ? getPercentile(0.05) : 0,
+      frozenSeconds: numberFixed(frozenSeconds, 1),
+      droppedFrames: { ...droppedFrames }
+    }
+  }
+
+  function recordFrame(now) {
+    if (lastFrameTime != null) {
+      const dropped = Math.round((now - lastFrameTime) / FRAME_INTERVAL) - 1
+      if (dropped >= 1) {
+        let bucket = DROPPED_FRAME_BUCKETS[0][0]
+        DROPPED_FRAME_BUCKETS.forEach(([name, min]) => {
+          if (dropped >= min) bucket = name
+        })
+        droppedFrames[bucket]++
+      }
+    }
+    lastFrameTime = now
+  }
+
   function measure(now) {
-    if (isStopped) return
+    if (isStopped || isPaused) return
     try {
       frameCount++
-      if (now - lastTime >= 1000) {
-        fpsSamples.push(frameCount)
-        if (fpsSamples.length > maxSamples) {
-          fpsSamples.shift()
-        }
+      recordFrame(now)
+      const elapsed = now - lastTime
+      if (elapsed >= 1000) {
+        // 主线程长时间阻塞时一个周期可能超过 1 秒，按实际时长折算
+        const fps = Math.min(MAX_FPS, Math.round(frameCount * 1000 / elapsed))
+        samples++
+        totalFps += fps
+        minFps = minFps == null ? fps : Math.min(minFps, fps)
+        fpsCounts[fps] = (fpsCounts[fps] || 0) + 1
+        if (fps < FROZEN_FPS) frozenSeconds += elapsed / 1000
         // 回调当前一秒的 fps
         try {
-          callback(frameCount)
+          callback(fps, getStats())
         } catch (e) {
           logger.error('[trackFPS] 回调执行失败：', e)
         }
@@ -176,19 +649,51 @@ export function trackFPS(callback, maxSamples = 60) {
     }
   }
 
+  function cancel() {
+    if (rafId != null) {
+      try {
+        cancelAnimationFrame(rafId)
+      } catch (e) {
+        logger.warn('[trackFPS] cancelAnimationFrame 失败：', e)
+      }
+      rafId = null
+    }
+  }
+
+  // 页面隐藏时暂停，丢弃未满一秒的计数；可见后从头开始计时
+  const onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') {
+      isPaused = true
+      cancel()
+    } else if (isPaused && !isStopped) {
+      isPaused = false
+      frameCount = 0
+      lastTime = performance.now()
+      lastFrameTime = null
+      rafId = requestAnimationFrame(measure)
+    }
+  }
+
+  resetStats()
   // 启动监听
-  rafId = requestAnimationFrame(measure)
+  if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', onVisibilityChange)
+    isPaused = document.visibilityState === 'hidden'
+  }
+  if (!isPaused) {
+    rafId = requestAnimationFrame(measure)
+  }
 
   return {
     stop() {
       isStopped = true
-      if (rafId != null) {
-        try {
-          cancelAnimationFrame(rafId)
-        } catch (e) {
-          logger.warn('[trackFPS] cancelAnimationFrame 失败：', e)
-        }
+      cancel()
+      if (typeof document !== 'undefined') {
+        document.removeEventListener('visibilitychange', onVisibilityChange)
       }
+    },
+    reset() {
+      resetStats()
     }
   }
 }
@@ -242,10 +747,59 @@ export function trackMemory(callback, intervalMs = 5000) {
   }
 }
 
+const CLS_SESSION_GAP = 1000 // 会话窗口内相邻两次偏移的最大间隔
+const CLS_SESSION_MAX = 5000 // 单个会话窗口的最大时长
+const MAX_SHIFT_SOURCES = 5 // 归因中保留的偏移来源节点数
+
+/**
+ * DOMRectReadOnly 转为可序列化的普通对象
+ * @param {DOMRectReadOnly} rect
+ * @returns {{ x: number, y: number, width: number, height: number } | null}
+ */
+function toRect(rect) {
+  if (!rect) return null
+  return {
+    x: numberFixed(rect.x),
+    y: numberFixed(rect.y),
+    width: numberFixed(rect.width),
+    height: numberFixed(rect.height)
+  }
+}
+
+/**
+ * 由单次 layout-shift entry 生成归因：偏移时间、偏移值以及各来源节点的前后位置
+ * @param {LayoutShift} entry
+ * @returns {{ largestShiftTarget: string, largestShiftTime: number, largestShiftValue: number, sources: object[] }}
+ */
+function getCLSAttribution(entry) {
+  const sources = (entry.sources || [])
+    .slice(0, MAX_SHIFT_SOURCES)
+    .map(source => ({
+      node: getSelector(source.node),
+      previousRect: toRect(source.previousRect),
+      currentRect: toRect(source.currentRect)
+    }))
+  // 面积最大的来源节点作为主要偏移目标
+  const largestSource = (entry.sources || []).reduce((max, source) => {
+    const area = source.currentRect ? source.currentRect.width * source.currentRect.height : 0
+    return !max || area > max.area ? { area, source } : max
+  }, null)
+  return {
+    largestShiftTarget: largestSource ? getSelector(largestSource.source.node) : '',
+    largestShiftTime: numberFixed(entry.startTime),
+    largestShiftValue: numberFixed(entry.value),
+    sources
+  }
+}
+
 /**
  * 监听累积布局偏移（CLS），并返回一个 stop 函数用于断开监听
- * @param {(clsValue: number) => void} callback
- * @returns {{ stop: () => void }} stop 方法用于断开观察
+ * 按规范使用会话窗口：相邻偏移间隔 < 1s 且窗口总时长 < 5s 的偏移归为同一窗口，
+ * CLS 取所有窗口中的最大值；用户输入后 500ms 内的偏移（hadRecentInput）不计入
+ *
+ * @param {(clsValue: number, attribution: { largestShiftTarget: string, largestShiftTime: number, largestShiftValue: number, sources: object[] } | null) => void} callback
+ *        attribution 为最大会话窗口中偏移值最大的一次偏移
+ * @returns {{ stop: () => void, restart: () => void }} stop 断开观察；restart 丢弃已有窗口重新计算（软导航）
  */
 export function trackCLS(callback) {
   if (
@@ -254,21 +808,48 @@ export function trackCLS(callback) {
   ) {
     return {
       stop: () => {
+      },
+      restart: () => {
       }
     }
   }
 
-  let clsSum = 0
+  // 当前会话窗口
+  let sessionValue = 0
+  let sessionEntries = []
+  // 最大会话窗口
+  let clsValue = 0
+  let clsAttribution = null
+
+  function handleEntry(entry) {
+    if (entry.hadRecentInput) return
+    const first = sessionEntries[0]
+    const last = sessionEntries[sessionEntries.length - 1]
+    if (
+      first &&
+      entry.startTime - last.startTime < CLS_SESSION_GAP &&
+      entry.startTime - first.startTime < CLS_SESSION_MAX
+    ) {
+      sessionValue += entry.value
+      sessionEntries.push(entry)
+    } else {
+      sessionValue = entry.value
+      sessionEntries = [entry]
+    }
+
+    if (sessionValue > clsValue) {
+      clsValue = sessionValue
+      const largest = sessionEntries.reduce((max, e) => (e.value > max.value ? e : max))
+      clsAttribution = getCLSAttribution(largest)
+    }
+  }
+
   let obs
   try {
     obs = new PerformanceObserver((list) => {
       try {
-        list.getEntries().forEach((entry) => {
-          if (!entry.hadRecentInput) {
-            clsSum += entry.value
-          }
-        })
-        callback(clsSum)
+        list.getEntries().forEach(handleEntry)
+        callback(numberFixed(clsValue, 4), clsAttribution)
       } catch (e) {
         logger.error('[trackCLS] 回调执行失败：', e)
       }
@@ -278,6 +859,8 @@ export function trackCLS(callback) {
     logger.warn('[trackCLS] PerformanceObserver 观察失败：', e)
     return {
       stop: () => {
+      },
+      restart: () => {
       }
     }
   }
@@ -289,6 +872,12 @@ export function trackCLS(callback) {
       } catch (e) {
         logger.warn('[trackCLS] disconnect 失败：', e)
       }
+    },
+    restart() {
+      sessionValue = 0
+      sessionEntries = []
+      clsValue = 0
+      clsAttribution = null
     }
   }
 }
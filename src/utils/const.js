@@ -11,8 +11,29 @@ export const defaultScoringRules = {
   CLS: [0.1, 0.25],
   FID: [50, 100],
   SPA_Render: [500, 1000],
+  SPA_Ready: [1000, 2500],
   resourceTotal: [500, 1500],
   maxLongTask: [50, 200],
+  TBT: [200, 600],
+  TTI: [3800, 7300],
   avgFPS: [55, 30],
   usedJSHeapMB: [500, 1500] // 单位 MB：<500 优，500–1500 良，>1500 差
 }
+
+/**
+ * 自定义业务耗时（customTimings）的阈值键前缀，
+ * 如 scoringRules: { 'customTimings.checkout-submit': [800, 2000] }
+ */
+export const CUSTOM_TIMING_PREFIX = 'customTimings.'
+
+/**
+ * 关键元素渲染时间（heroTimings）的阈值键前缀，
+ * 如 scoringRules: { 'heroTimings.product-image': [1000, 2500] }
+ */
+export const HERO_TIMING_PREFIX = 'heroTimings.'
+
+/**
+ * 长任务超过该时长（毫秒）的部分计为阻塞时间，
+ * SoftVitals 记录每条长任务的 blockingDuration 与 Interactivity 计算 TBT 共用
+ */
+export const BLOCKING_THRESHOLD = 50
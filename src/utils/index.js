@@ -1,4 +1,4 @@
-import { defaultScoringRules } from './const'
+import { defaultScoringRules, CUSTOM_TIMING_PREFIX, HERO_TIMING_PREFIX } from './const'
 
 /**
  * 通用控制台展示函数：把 AI 返回的 Markdown 内容按 “### ” 标题分组，
@@ -209,7 +209,8 @@ function serializeRules(
 /**
  * 生成最终给 AI 的 system 提示（字符串）
  * @param {object} userRules  用户传入的阈值（可能只包含部分 key）
- *                           格式同 defaultScoringRules（键相同，值为 [优阈值, 良阈值]）
+ *                           格式同 defaultScoringRules（键相同，值为 [优阈值, 良阈值]），
+ *                           另支持 `customTimings.<name>` / `heroTimings.<identifier>` 为自定义业务耗时、关键元素设置阈值
  * @returns {string}
  */
 export function buildSystemPrompt(userRules = {}) {
@@ -220,11 +221,13 @@ export function buildSystemPrompt(userRules = {}) {
   if (userRules) {
     Object.entries(userRules).forEach(([key, val]) => {
       // 仅当同时满足以下条件时更新规则：
-      // 1. 该键存在于默认规则中（防止添加新规则）
+      // 1. 该键存在于默认规则中（防止添加新规则），或为自定义耗时 / 关键元素键
       // 2. 值是数组
       // 3. 数组长度恰好为2
       if (
-        key in defaultScoringRules &&
+        (key in defaultScoringRules ||
+          key.startsWith(CUSTOM_TIMING_PREFIX) ||
+          key.startsWith(HERO_TIMING_PREFIX)) &&
         Array.isArray(val) &&
         val.length === 2
       ) {
@@ -275,18 +278,206 @@ export function buildSystemPrompt(userRules = {}) {
     },
     pages: [
       {
-        page: "detail",
+        type: "page",
+        page: "/product/detail/:id",
         fullPath: "/product/detail/123",
+        navigationType: "hard",
         LCP: 1200,
+        LCPAttribution: {
+          target: "#app > section.gallery > img.main-image",
+          url: "https://cdn.example.com/img/product-123.jpg",
+          timeToFirstByte: 150,
+          resourceLoadDelay: 420,
+          resourceLoadDuration: 480,
+          elementRenderDelay: 150
+        },
         FCP: 800,
         TTFB: 150,
+        navigationTiming: {
+          type: "navigate",
+          protocol: "h2",
+          activationStart: 0,
+          redirect: 0,
+          dns: 12.3,
+          tcp: 18.6,
+          tls: 24.1,
+          request: 78.4,
+          response: 35.2,
+          TTFB: 150,
+          domInteractive: 620.5,
+          domContentLoaded: 680.2,
+          load: 1450.8,
+          transferSize: 18320
+        },
+        bfcacheRestore: null,
+        notRestoredReasons: {
+          reasons: ["unload-listener", "websocket"],
+          frames: [
+            { url: "https://shop.example.com/product/detail/123", src: null, id: null, name: null, reasons: ["unload-listener", "websocket"] }
+          ]
+        },
+        serverTiming: {
+          navigation: [
+            { name: "cache", duration: 2.1, description: "miss" },
+            { name: "db", duration: 45.3, description: "" },
+            { name: "render", duration: 22.8, description: "ssr" }
+          ],
+          endpoints: {
+            "/api/product/:id": {
+              count: 2,
+              metrics: {
+                db: { count: 2, avg: 120.5, max: 180.2 },
+                cache: { count: 2, avg: 1.2, max: 1.5 }
+              }
+            }
+          }
+        },
+        apiStats: {
+          count: 12,
+          errorCount: 1,
+          errorRate: 0.08,
+          p50: 86.4,
+          p95: 612.3,
+          totalTime: 1890.7,
+          slowest: [
+            { endpoint: "GET /api/product/:id", count: 2, errorCount: 0, avgTime: 498.2, maxTime: 612.3, statuses: { 200: 2 }, lastError: null },
+            { endpoint: "POST /api/cart", count: 1, errorCount: 1, avgTime: 210.5, maxTime: 210.5, statuses: { 500: 1 }, lastError: "http_500" }
+          ]
+        },
         CLS: 0.08,
+        CLSAttribution: {
+          largestShiftTarget: "#app > div.recommend-list",
+          largestShiftTime: 2310.6,
+          largestShiftValue: 0.06,
+          sources: [
+            {
+              node: "#app > div.recommend-list",
+              previousRect: { x: 0, y: 620, width: 375, height: 480 },
+              currentRect: { x: 0, y: 780, width: 375, height: 480 }
+            }
+          ]
+        },
         FID: 60,
+        INP: 320,
+        INPAttribution: {
+          target: "#app > div.sku-panel > button.add-cart",
+          type: "pointer",
+          time: 5230.4,
+          inputDelay: 18.2,
+          processingDuration: 236.5,
+          presentationDelay: 65.3
+        },
         SPA_Render: 900,
-        resourceStats: { count: 153, avgTime: 51.849, maxTime: 350.5 },
-        longTaskStats: { count: 4, avgTime: 131.5, maxTime: 248 },
-        fpsSamples: [60, 57, 60, 55],
+        routeTransition: {
+          guards: 120.5,
+          chunks: 430.2,
+          render: 349.3,
+          total: 900,
+          chunkCount: 2,
+          chunkSize: 86420,
+          to: "/home",
+          redirectedFrom: null
+        },
+        navigationFailures: null,
+        SPA_Ready: 1650.4,
+        SPA_ReadySource: "manual",
+        resourceStats: {
+          count: 153,
+          avgTime: 51.849,
+          maxTime: 350.5,
+          byType: {
+            script: { count: 42, avgTime: 86.2, maxTime: 350.5, transferSize: 1843200, encodedBodySize: 1835008, decodedBodySize: 6291456, cacheHitRate: 0.31 },
+            css: { count: 8, avgTime: 40.1, maxTime: 96.3, transferSize: 204800, encodedBodySize: 200704, decodedBodySize: 819200, cacheHitRate: 0.5 },
+            img: { count: 77, avgTime: 45.7, maxTime: 210.4, transferSize: 3145728, encodedBodySize: 3140000, decodedBodySize: 3140000, cacheHitRate: 0.12 },
+            font: { count: 2, avgTime: 120.6, maxTime: 180.2, transferSize: 163840, encodedBodySize: 163000, decodedBodySize: 163000, cacheHitRate: 0 },
+            fetch: { count: 18, avgTime: 150.3, maxTime: 320.8, transferSize: 51200, encodedBodySize: 49000, decodedBodySize: 160000, cacheHitRate: 0 },
+            xmlhttprequest: { count: 6, avgTime: 98.4, maxTime: 180.1, transferSize: 20480, encodedBodySize: 19000, decodedBodySize: 60000, cacheHitRate: 0 }
+          },
+          slowest: [
+            { url: "https://cdn.example.com/js/vendor.8c1f.js", type: "script", duration: 350.5, transferSize: 921600 },
+            { url: "https://api.example.com/product/123/recommend", type: "fetch", duration: 320.8, transferSize: 10240 }
+          ],
+          failed: {
+            count: 2,
+            byType: { img: 1, script: 1 },
+            urls: [
+              { url: "https://cdn.example.com/img/banner.png", type: "img", count: 1, status: 404, duration: 35.2 },
+              { url: "https://cdn.example.com/js/chart.js", type: "script", count: 1, status: null, duration: null }
+            ]
+          }
+        },
+        longTaskStats: {
+          source: "long-animation-frame",
+          count: 4,
+          avgTime: 131.5,
+          maxTime: 248,
+          totalBlockingDuration: 326,
+          frames: [
+            {
+              startTime: 1830.2,
+              duration: 248,
+              blockingDuration: 198,
+              renderStart: 2060.1,
+              styleAndLayoutDuration: 12.4,
+              scripts: [
+                { sourceURL: "https://cdn.example.com/js/detail.3f2a.js", sourceFunctionName: "renderSku", invoker: "Response.json.then", duration: 186.3 }
+              ]
+            }
+          ],
+          topScripts: [
+            { sourceURL: "https://cdn.example.com/js/detail.3f2a.js", sourceFunctionName: "renderSku", invoker: "Response.json.then", count: 2, duration: 301.7, maxDuration: 186.3 }
+          ]
+        },
+        TBT: 420.5,
+        TTI: 3650.2,
+        fpsStats: {
+          samples: 42,
+          min: 8,
+          avg: 56.4,
+          p5: 31,
+          frozenSeconds: 1.2,
+          droppedFrames: { "1": 37, "2-3": 12, "4-7": 3, "8+": 1 }
+        },
+        avgFPS: 56.4,
         usedJSHeapMB: 1200000000,
+        memoryStats: {
+          source: "performance.memory",
+          sample: "exit",
+          entryMB: 86.2,
+          exitMB: 94.8,
+          deltaMB: 8.6,
+          visits: 4,
+          slopeMB: 7.9,
+          leakSuspected: true
+        },
+        errors: {
+          total: 3,
+          unique: 1,
+          groups: [
+            {
+              fingerprint: "1x9k2ab",
+              type: "error",
+              name: "TypeError",
+              message: "Cannot read properties of undefined (reading 'price')",
+              stack: ["renderPrice (https://cdn.example.com/js/detail.3f2a.js:1:2045)"],
+              source: "https://cdn.example.com/js/detail.3f2a.js:1:2045",
+              count: 3,
+              firstTime: 1718000000000,
+              lastTime: 1718000003000
+            }
+          ]
+        },
+        heroTimings: {
+          "product-image": { renderTime: 1180.4, loadTime: 1020.7, url: "https://cdn.example.com/img/product-123.jpg", target: "#app > section.gallery > img.main-image", source: "element-timing" }
+        },
+        customTimings: {
+          "sku-panel-shown": { type: "mark", count: 1, value: 1350.2, max: 1350.2, avg: 1350.2 },
+          "add-to-cart": { type: "measure", count: 2, value: 420.5, max: 610.8, avg: 515.7 }
+        },
+        componentStats: [
+          { name: "SkuPanel", totalTime: 186.4, mountCount: 1, mountTime: 120.3, maxMountTime: 120.3, updateCount: 3, updateTime: 66.1, maxUpdateTime: 40.2 },
+          { name: "ReviewList", totalTime: 95.7, mountCount: 1, mountTime: 95.7, maxMountTime: 95.7, updateCount: 0, updateTime: 0, maxUpdateTime: 0 }
+        ]
       }
     ]
   }
@@ -350,6 +541,19 @@ ${schemaText}
 - 对每个指标按上面给出的阈值区间确定 severity：
   • “优” → severity="低"；“良” → severity="中"；“差” → severity="高"。
 - AI 自行计算 overallScore（0–100 分），并给出 level。
+- TTFB 偏高时结合 navigationTiming 判断瓶颈：redirect/dns/tcp/tls 为网络耗时，request 为服务端处理耗时，response 及之后为下载与客户端耗时。
+- navigationType 为 bfcache 的页面从往返缓存恢复，bfcacheRestore.restoreTime 为恢复后首次绘制耗时（同时记为 FCP）；notRestoredReasons 出现时说明前进/后退未能使用往返缓存，请针对其中的原因（如 unload-listener、websocket、cache-control:no-store 等）给出改造建议。
+- serverTiming 来自后端 Server-Timing 响应头：navigation 对应 HTML 文档，endpoints 按接口聚合；用它把慢 TTFB 或慢接口定位到具体后端阶段（如 db、cache、render）。
+- TBT 为 FCP（软导航为路由开始）到 TTI 之间长任务阻塞时间之和，TTI 为此后首个 5 秒无长任务窗口前最后一个长任务的结束时间（近似值，页面停留不足时为 null）；两者偏高时结合 longTaskStats 中耗时最长的脚本给出拆分长任务的建议。
+- fpsStats 为页面可见期间的帧率汇总：p5 反映最差 5% 秒的流畅度，frozenSeconds 为帧率低于 10 的秒数，droppedFrames 为单帧掉帧数分布（按 60Hz 计算）；avgFPS 按阈值评分，p5 或 frozenSeconds 偏差时结合 longTaskStats 定位卡顿。
+- memoryStats 记录进入/离开路由时的堆内存（MB），slopeMB 为同一路由多次访问后内存的增长斜率（MB/次），sample 为 "exit" 时按离开时内存计算，为 "entry" 时（measureUserAgentSpecificMemory）只有进入时的读数，exitMB / deltaMB 为 null；leakSuspected 为 true 时视为疑似内存泄漏（severity="高"），优先建议排查未清理的定时器、事件监听、全局缓存与未销毁的第三方实例。
+- componentStats 为最慢的组件（挂载/更新次数与耗时，父组件耗时包含子组件）；SPA_Render 偏高时用它定位具体组件，频繁 update 说明存在多余的响应式更新。
+- routeTransition 将 SPA_Render 拆分为 guards（导航守卫）、chunks（懒加载路由组件的 chunk 下载，chunkCount/chunkSize 为数量与传输字节）、render（组件解析后到下一帧）；按占比最大的阶段给建议：chunks 偏高时建议预加载或拆小路由 chunk，guards 偏高时建议减少守卫中的串行请求。navigationFailures 为导航失败（aborted/cancelled/duplicated/redirected，error 为守卫或 chunk 加载报错），error 与频繁 cancelled 需重点说明。
+- SPA_Render 为路由解析后下一帧的渲染耗时，SPA_Ready 为页面真实内容可见的耗时（含异步数据加载）；SPA_ReadySource 为 manual 时以 SPA_Ready 评分，为 timeout 时说明页面未上报就绪，SPA_Ready 退回 SPA_Render。两者差距大时优先优化接口与数据加载。
+- heroTimings 为业务标记（elementtiming 属性）的关键元素渲染时间，相对页面开始（软导航为路由开始）；阈值键 heroTimings.<identifier> 以 renderTime 评分。与 LCP 元素不一致时以 heroTimings 衡量业务关键内容的展示速度。
+- customTimings 为业务自定义耗时（mark 为距页面开始的时间，measure 为区间耗时），阈值键 customTimings.<name> 以其 avg 评分，未配置阈值的仅作参考。
+- type 为 flow 的记录是跨路由业务流程（如下单漏斗）：status 为 completed/abandoned/timeout，duration 为总耗时，renderTime/apiTime/longTaskTime 为各步骤累加，steps 给出每个页面的耗时；按 duration 与占比最大的步骤给出建议，放弃或超时时结合 reason 分析。
+- apiStats 为页面内 fetch/XHR 接口调用统计（耗时 p50/p95、失败率、最慢接口及状态码分布），接口慢或失败率高时优先结合 serverTiming 定位后端阶段。
 - 请确保 recommendations 中带可复制的 code snippet。
 
 === 输出要求（必须遵守） ===
@@ -426,11 +630,19 @@ export function parseAIJsonString(rawStr) {
  * 规范化 URL，只保留「路由部分」
  * - 若包含 hash（“#/...”），则返回 hash 里的路径部分
  * - 否则用 new URL 拿 pathname
+ * - pattern 为 true 时再把路径归一化为路由模式（见 maskPathSegments），也可传入自定义函数
  *
  * @param {string} fullUrl
- * @returns {string} 例如 "/sub_pages_boutique_mall/pages/detail/detail"
+ * @param {boolean|((path: string) => string)} [pattern=false]
+ * @returns {string} 例如 "/sub_pages_boutique_mall/pages/detail/detail"、pattern 为 true 时 "/product/:id"
  */
-export function normalizePath(fullUrl) {
+export function normalizePath(fullUrl, pattern = false) {
+  const path = extractRoutePath(fullUrl)
+  if (typeof pattern === 'function') return pattern(path)
+  return pattern ? maskPathSegments(path) : path
+}
+
+function extractRoutePath(fullUrl) {
   try {
     const url = new URL(fullUrl, window.location.origin)
     const hash = url.hash // 带 '#'
@@ -450,6 +662,25 @@ export function normalizePath(fullUrl) {
   }
 }
 
+/**
+ * 把路径中的动态段替换为占位符，使同一路由的不同参数归为一类：
+ * 纯数字段 → :id，UUID 段 → :uuid，长十六进制/哈希段 → :hash
+ *
+ * @param {string} pathname
+ * @returns {string} 例如 "/product/123" → "/product/:id"
+ */
+export function maskPathSegments(pathname) {
+  return pathname
+    .split('/')
+    .map((segment) => {
+      if (/^\d+$/.test(segment)) return ':id'
+      if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment)) return ':uuid'
+      if (/^[0-9a-f]{16,}$/i.test(segment)) return ':hash'
+      return segment
+    })
+    .join('/')
+}
+
 /**
  * 将数字固定到指定小数位数
  * @param {number|string} number - 要处理的数字
@@ -480,3 +711,73 @@ export function numberFixed(number, fixed = 3) {
     return number
   }
 }
+
+/**
+ * 判断当前浏览器的 PerformanceObserver 是否支持指定的 entryType
+ * @param {string} type - 如 'long-animation-frame'、'event'、'element'
+ * @returns {boolean}
+ */
+export function isEntryTypeSupported(type) {
+  try {
+    return typeof PerformanceObserver !== 'undefined' &&
+      Array.isArray(PerformanceObserver.supportedEntryTypes) &&
+      PerformanceObserver.supportedEntryTypes.includes(type)
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * 生成 DOM 节点的简短 CSS 选择器（用于指标归因），如 "#app > main.list > img.cover"
+ * 遇到带 id 的祖先即停止向上查找，并按 maxLen 截断
+ *
+ * @param {Node} node
+ * @param {number} [maxLen=100] - 选择器最大长度
+ * @returns {string} 节点不存在时返回空字符串
+ */
+export function getSelector(node, maxLen = 100) {
+  let selector = ''
+  try {
+    while (node && node.nodeType !== 9) {
+      const el = node
+      const part = el.id
+        ? `#${el.id}`
+        : (el.nodeType === 1
+          ? el.nodeName.toLowerCase() +
+          (typeof el.className === 'string' && el.className.trim()
+            ? '.' + el.className.trim().split(/\s+/).join('.')
+            : '')
+          : el.nodeName)
+      if (selector.length + part.length > maxLen - 1) return selector || part
+      selector = selector ? `${part} > ${selector}` : part
+      if (el.id) break
+      node = el.parentNode
+    }
+  } catch (e) {
+    // 忽略异常，返回已拼接的部分
+  }
+  return selector
+}
+
+/**
+ * 把请求 URL 归一化为接口模式，便于按接口聚合：
+ *  - 去掉 query 与 hash
+ *  - 纯数字段 → :id，UUID 段 → :uuid，长十六进制/哈希段 → :hash
+ *  - 跨域请求保留 host 前缀，同域只保留路径
+ *
+ * @param {string} url
+ * @returns {string} 例如 "/api/product/:id/comments"、"api.example.com/v1/order/:uuid"
+ */
+export function normalizeUrlPattern(url) {
+  if (!url || typeof url !== 'string') return url
+  let host = ''
+  let pathname = url
+  try {
+    const parsed = new URL(url, window.location.origin)
+    host = parsed.origin === window.location.origin ? '' : parsed.host
+    pathname = parsed.pathname
+  } catch (e) {
+    pathname = url.split(/[?#]/)[0]
+  }
+  return host + maskPathSegments(pathname)
+}
@@ -0,0 +1,9 @@
+// src/vue.js
+// Vue 专用入口（frontend_performance_monitoring/vue）：依赖 vue，与根入口分开，React / 原生项目引入 SDK 时无需解析 vue
+import { PerfPlugin } from './sdk/PerfPlugin'
+import { usePageReady } from './sdk/usePageReady'
+
+export {
+  PerfPlugin,
+  usePageReady,
+}